@@ -1,300 +1,2150 @@
 // FullSnap Service Worker - Central orchestrator
 // Handles capture requests, coordinates content script + offscreen document, and serves viewer data.
 
-importScripts('/shared/constants.js', '/shared/utils.js', '/shared/capture-store.js');
+importScripts('/shared/constants.js', '/shared/utils.js', '/shared/capture-store.js', '/shared/hide-rules.js', '/shared/schedules.js');
 
 let pendingCaptureId = null;
 
+// The full-page capture in progress. Cancel requests (popup, page overlay, Escape)
+// flag it; the capture loop checks the flag between steps.
+let activeCapture = null;
+
+const CAPTURE_WATCHDOG_ALARM = 'fullsnap-capture-watchdog';
+const CDP_PROTOCOL_VERSION = '1.3';
+
+// Right-click entries. The page-level ones are offered wherever the page is
+// right-clicked, including on links and images.
+const PAGE_MENU_CONTEXTS = ['page', 'frame', 'selection', 'link', 'image', 'video'];
+const CONTEXT_MENU_ITEMS = [
+  { id: 'capture-full-page', title: 'Capture full page', contexts: PAGE_MENU_CONTEXTS },
+  { id: 'capture-visible', title: 'Capture visible area', contexts: PAGE_MENU_CONTEXTS },
+  { id: 'capture-element', title: 'Capture this element', contexts: PAGE_MENU_CONTEXTS },
+  { id: 'capture-image', title: 'Capture this image at original resolution', contexts: ['image'] },
+];
+
+// Captures run one at a time: they share the captureVisibleTab rate limit and the
+// single offscreen canvas. Each entry targets its own tab and window.
+const captureQueue = [];
+let captureQueueRunning = false;
+
+// The URL-list batch in progress: { setId, tabId, cancelled }
+let activeBatch = null;
+
+// Delayed captures counting down, by window: { windowId, tabIds, cancelled }
+const countdowns = new Map();
+
+// Captures waiting for the user's region drag or element pick, outside the queue
+// (see awaitSelection). They can be cancelled like the active capture.
+const selectingCaptures = new Set();
+
+// Schedules waiting in (or running from) the capture queue, so a late alarm and
+// "Run now" do not queue the same schedule twice
+const queuedSchedules = new Set();
+
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   if (!message || !message.action) return false;
 
   const handledActions = new Set([
     MSG.CAPTURE_FULL_PAGE,
     MSG.CAPTURE_VISIBLE,
+    MSG.CAPTURE_REGION,
+    MSG.CAPTURE_ELEMENT,
+    MSG.CAPTURE_BREAKPOINTS,
+    MSG.CAPTURE_ALL_TABS,
+    MSG.CAPTURE_DELAYED,
+    MSG.CAPTURE_URL_LIST,
+    MSG.CANCEL_BATCH,
+    MSG.RUN_SCHEDULE,
+    MSG.PICK_HIDE_RULE,
+    MSG.CANCEL_CAPTURE,
+    MSG.GET_CAPTURE_STATUS,
     MSG.GET_PENDING_CAPTURE,
     MSG.GET_CAPTURE_META,
     MSG.GET_CAPTURE_SEGMENT,
+    MSG.GET_CAPTURE_SET,
+    MSG.RENAME_CAPTURE_SET,
     MSG.DELETE_CAPTURE,
     'GET_PENDING_SCREENSHOT',
   ]);
 
-  if (!handledActions.has(message.action)) {
-    // Leave other messages for offscreen/content listeners.
-    return false;
-  }
+  if (!handledActions.has(message.action)) {
+    // Leave other messages for offscreen/content listeners.
+    return false;
+  }
+
+  handleRuntimeMessage(message, sender)
+    .then(sendResponse)
+    .catch((err) => {
+      console.error('Service worker message handler error:', err);
+      sendResponse({ error: err.message || 'Unknown error' });
+    });
+
+  return true;
+});
+
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name === CAPTURE_WATCHDOG_ALARM && !activeCapture) {
+    resumeInterruptedCaptures();
+    return;
+  }
+
+  const scheduleId = Schedules.idFromAlarm(alarm.name);
+  if (scheduleId) {
+    runSchedule(scheduleId).catch((err) => console.error('Scheduled capture error:', err));
+  }
+});
+
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area === 'local' && changes[STORAGE_KEYS.SCHEDULES]) {
+    syncScheduleAlarms().catch((err) => console.error('Schedule alarm error:', err));
+  }
+});
+
+// A fresh worker has no capture running; any stored job was interrupted
+resumeInterruptedCaptures();
+syncScheduleAlarms().catch((err) => console.error('Schedule alarm error:', err));
+
+chrome.runtime.onInstalled.addListener(() => {
+  chrome.contextMenus.removeAll(() => {
+    for (const item of CONTEXT_MENU_ITEMS) {
+      chrome.contextMenus.create(item);
+    }
+  });
+});
+
+chrome.contextMenus.onClicked.addListener((info, tab) => {
+  handleContextMenuClick(info, tab)
+    .then((result) => {
+      if (result?.error) console.error('Context menu capture failed:', result.error);
+    })
+    .catch((err) => console.error('Context menu error:', err));
+});
+
+chrome.commands.onCommand.addListener((command, tab) => {
+  if (command === 'capture-full-page') {
+    handleCapture('full', { tab }).catch((err) => console.error('Command error:', err));
+  } else if (command === 'capture-visible') {
+    handleCapture('visible', { tab }).catch((err) => console.error('Command error:', err));
+  } else if (command === 'capture-all-tabs') {
+    handleCaptureAllTabs(tab?.windowId).catch((err) => console.error('Command error:', err));
+  } else if (command === 'capture-delayed') {
+    // Pressing the shortcut again during the countdown calls it off
+    if (tab && countdowns.has(tab.windowId)) {
+      cancelCapture({ windowId: tab.windowId });
+      return;
+    }
+    handleDelayedCapture({ windowId: tab?.windowId }).catch((err) => console.error('Command error:', err));
+  }
+});
+
+async function handleRuntimeMessage(message, sender) {
+  switch (message.action) {
+    case MSG.CAPTURE_FULL_PAGE:
+      return handleCapture('full', { windowId: message.windowId });
+    case MSG.CAPTURE_VISIBLE:
+      return handleCapture('visible', { windowId: message.windowId });
+    case MSG.CAPTURE_REGION:
+      return handleCapture('region', { windowId: message.windowId });
+    case MSG.CAPTURE_ELEMENT:
+      return handleCapture('element', { windowId: message.windowId });
+    case MSG.CAPTURE_BREAKPOINTS:
+      return handleCapture('breakpoints', { windowId: message.windowId });
+    case MSG.CAPTURE_ALL_TABS:
+      return handleCaptureAllTabs(message.windowId, message.name);
+    case MSG.CAPTURE_DELAYED:
+      return handleDelayedCapture(message);
+    case MSG.CAPTURE_URL_LIST:
+      return handleCaptureUrlList(message, sender?.tab);
+    case MSG.CANCEL_BATCH:
+      return cancelBatch(message.setId);
+    case MSG.RUN_SCHEDULE:
+      return runSchedule(message.scheduleId);
+    case MSG.PICK_HIDE_RULE:
+      return handlePickHideRule(message.windowId);
+    case MSG.CANCEL_CAPTURE:
+      // The page overlay cancels its own tab's capture; the popup those in its window
+      return cancelCapture(sender?.tab ? { tabId: sender.tab.id } : { windowId: message.windowId });
+    case MSG.GET_CAPTURE_STATUS:
+      return getCaptureStatus(message.windowId);
+    case MSG.GET_PENDING_CAPTURE:
+      return getPendingCapture();
+    case MSG.GET_CAPTURE_META:
+      return getCaptureMeta(message.captureId);
+    case MSG.GET_CAPTURE_SEGMENT:
+      return getCaptureSegment(message.captureId, message.index);
+    case MSG.GET_CAPTURE_SET:
+      return getCaptureSet(message.setId);
+    case MSG.RENAME_CAPTURE_SET:
+      return renameCaptureSet(message.setId, message.name);
+    case MSG.DELETE_CAPTURE:
+      return deleteCapture(message.captureId);
+    case 'GET_PENDING_SCREENSHOT':
+      return {
+        error: 'Legacy screenshot payload has been replaced. Use capture metadata + segments.',
+      };
+    default:
+      return { error: 'Unknown action' };
+  }
+}
+
+// `target` names the tab (keyboard commands) or the window whose active tab is
+// captured (popup). Without either, the last focused window is used. `options`
+// are passed on to captureFullPage.
+async function handleCapture(mode, target = {}, options = {}) {
+  try {
+    const tab = target.tab || (await resolveActiveTab(target.windowId));
+    if (!tab) {
+      return { error: 'No active tab found' };
+    }
+
+    if (isRestrictedUrl(tab.url)) {
+      return { error: 'Cannot capture this page. Browser restricts screenshots on system pages.' };
+    }
+
+    return enqueueCapture({
+      tabId: tab.id,
+      windowId: tab.windowId,
+      run: async (slot) => {
+        const current = await bringQueuedTabForward(tab.id);
+        if (!current) {
+          return { error: 'The tab was closed before its capture started' };
+        }
+        if (mode === 'visible') return captureVisible(current);
+        if (mode === 'breakpoints') return captureBreakpoints(current);
+        return captureFullPage(current, { ...options, mode, slot });
+      },
+    });
+  } catch (err) {
+    console.error('Capture error:', err);
+    return { error: err.message || 'Capture failed' };
+  }
+}
+
+async function resolveActiveTab(windowId) {
+  const query = windowId ? { active: true, windowId } : { active: true, lastFocusedWindow: true };
+  const [tab] = await chrome.tabs.query(query);
+  return tab || null;
+}
+
+// --- Context menu ---
+
+async function handleContextMenuClick(info, tab) {
+  switch (info.menuItemId) {
+    case 'capture-full-page':
+      return handleCapture('full', { tab });
+    case 'capture-visible':
+      return handleCapture('visible', { tab });
+    case 'capture-element':
+      // The element right-clicked in the top frame; clicks inside an embedded frame
+      // fall back to the element picker
+      return handleCapture('element', { tab }, { contextTarget: info.frameId === 0 });
+    case 'capture-image':
+      return captureImage(info.srcUrl, tab);
+    default:
+      return { error: 'Unknown menu item' };
+  }
+}
+
+// The image file itself rather than its rendering on the page, so it keeps its
+// natural size. Blob URLs belong to the page and cannot be fetched from here.
+async function captureImage(srcUrl, tab) {
+  if (!srcUrl || srcUrl.startsWith('blob:')) {
+    return { error: 'This image cannot be downloaded by the extension' };
+  }
+
+  const response = await fetch(srcUrl, { credentials: 'include' }).catch(() => null);
+  if (!response?.ok) {
+    return { error: `Could not download the image${response ? ` (HTTP ${response.status})` : ''}` };
+  }
+
+  const blob = await response.blob();
+  const imageInfo = await getImageDimensions(blob, 0, 0);
+  if (!imageInfo.width || !imageInfo.height) {
+    // SVGs have no natural size and cannot be decoded in a worker
+    return { error: 'This image format cannot be opened at its original resolution' };
+  }
+
+  return storeImageCapture(blob, imageInfo, {
+    url: tab?.url || srcUrl,
+    title: tab?.title || srcUrl,
+    mode: 'image',
+    sourceUrl: srcUrl,
+    windowId: tab?.windowId,
+  });
+}
+
+// --- Delayed capture ---
+
+// Counts down in the badge (and, unless turned off, on the page) so hover menus,
+// tooltips and dropdowns can be opened first, then captures whatever tab is
+// showing in the window at that moment. Without `seconds` or `mode` (keyboard
+// command), the ones last chosen in the popup are used.
+async function handleDelayedCapture({ windowId, seconds, mode }) {
+  const settings = await loadCaptureSettings();
+  const total = clamp(
+    Math.round(Number(seconds ?? settings.delayedCaptureSeconds) || DEFAULTS.delayedCaptureSeconds),
+    1,
+    CAPTURE_LIMITS.MAX_CAPTURE_DELAY_S
+  );
+  const captureMode = (mode ?? settings.delayedCaptureMode) === 'full' ? 'full' : 'visible';
+
+  const startTab = await resolveActiveTab(windowId);
+  if (!startTab) {
+    return { error: 'No active tab found' };
+  }
+  if (countdowns.has(startTab.windowId)) {
+    return { error: 'A delayed capture is already counting down in this window' };
+  }
+
+  const countdown = { windowId: startTab.windowId, tabIds: new Set(), cancelled: false };
+  countdowns.set(countdown.windowId, countdown);
+
+  try {
+    for (let remaining = total; remaining > 0; remaining--) {
+      await showCountdown(countdown, remaining, settings.delayedCaptureOverlay);
+      await delay(1000);
+      if (countdown.cancelled) {
+        return { cancelled: true };
+      }
+    }
+  } finally {
+    countdowns.delete(countdown.windowId);
+    await clearCountdown(countdown);
+  }
+
+  return handleCapture(captureMode, { windowId: countdown.windowId });
+}
+
+// The badge follows the window's active tab, in case the user switches tabs
+async function showCountdown(countdown, remaining, overlay) {
+  const tab = await resolveActiveTab(countdown.windowId);
+  if (!tab) return;
+
+  countdown.tabIds.add(tab.id);
+  chrome.action.setBadgeText({ tabId: tab.id, text: `${remaining}s` });
+  chrome.action.setBadgeBackgroundColor({ tabId: tab.id, color: '#F59E0B' });
+
+  if (overlay && !isRestrictedUrl(tab.url)) {
+    await chrome.scripting.executeScript({
+      target: { tabId: tab.id },
+      func: renderPageCountdown,
+      args: [remaining],
+    }).catch(() => {});
+  }
+}
+
+async function clearCountdown(countdown) {
+  for (const tabId of countdown.tabIds) {
+    chrome.action.setBadgeText({ tabId, text: '' });
+    await chrome.scripting.executeScript({
+      target: { tabId },
+      func: renderPageCountdown,
+      args: [0],
+    }).catch(() => {});
+  }
+  // Let the page repaint without the counter before it is captured
+  await delay(100);
+}
+
+// Runs in the page. Shows the seconds left in a corner; 0 removes the counter.
+// It ignores the pointer, so it never closes the menu it is waiting for.
+function renderPageCountdown(remaining) {
+  let counter = document.getElementById('__fullsnap-countdown');
+  if (remaining <= 0) {
+    counter?.remove();
+    return;
+  }
+
+  if (!counter) {
+    counter = document.createElement('div');
+    counter.id = '__fullsnap-countdown';
+    counter.style.cssText = [
+      'position:fixed', 'top:16px', 'right:16px', 'z-index:2147483647',
+      'min-width:44px', 'padding:8px 12px', 'border-radius:22px',
+      'background:rgba(26,29,35,0.85)', 'color:#fff', 'text-align:center',
+      'font:600 20px/1.2 -apple-system,BlinkMacSystemFont,"Segoe UI",Roboto,sans-serif',
+      'pointer-events:none', 'box-shadow:0 2px 8px rgba(0,0,0,0.3)',
+    ].join(';');
+    document.documentElement.appendChild(counter);
+  }
+  counter.textContent = String(remaining);
+}
+
+// --- Capture queue ---
+
+// Resolves with the capture's result once it has run. `captureId` marks entries
+// that resume an interrupted job, so they are not queued twice. `run` is passed
+// the entry as its queue slot (see waitOutsideQueue).
+function enqueueCapture({ tabId, windowId, captureId = null, run }) {
+  return new Promise((resolve) => {
+    captureQueue.push({ tabId, windowId, captureId, run, resolve });
+    refreshQueueBadges();
+    drainCaptureQueue();
+  });
+}
+
+async function drainCaptureQueue() {
+  if (captureQueueRunning) return;
+  captureQueueRunning = true;
+
+  try {
+    while (captureQueue.length > 0) {
+      const entry = captureQueue.shift();
+      if (entry.tabId !== undefined) {
+        chrome.action.setBadgeText({ tabId: entry.tabId, text: '' });
+      }
+      refreshQueueBadges();
+
+      // A turn ends when the capture has run, or when it hands its slot on
+      await new Promise((endTurn) => {
+        entry.endTurn = endTurn;
+        if (entry.resume) {
+          const resume = entry.resume;
+          entry.resume = null;
+          resume();
+          return;
+        }
+        entry.run(entry)
+          .catch((err) => ({ error: err.message || 'Capture failed' }))
+          .then((result) => {
+            entry.resolve(result);
+            entry.endTurn();
+          });
+      });
+    }
+  } finally {
+    captureQueueRunning = false;
+  }
+}
+
+// Region drags and element picks wait for the user, possibly for minutes. The
+// capture hands its slot on meanwhile, so captures queued in other windows are
+// not held up, and queues again at the front once `promise` settles.
+async function waitOutsideQueue(slot, promise) {
+  if (!slot) return promise;
+
+  slot.endTurn();
+  try {
+    return await promise;
+  } finally {
+    // A capture cancelled during the wait does not queue again
+    if (!slot.waitCancelled) {
+      await new Promise((resume, reject) => {
+        slot.resume = resume;
+        slot.cancelWait = reject;
+        captureQueue.unshift(slot);
+        refreshQueueBadges();
+        drainCaptureQueue();
+      });
+      slot.cancelWait = null;
+    }
+  }
+}
+
+// captureVisibleTab shoots whatever is showing in the window, so a tab that was
+// switched away from while queued is made active again before its turn.
+async function bringQueuedTabForward(tabId) {
+  const tab = await chrome.tabs.get(tabId).catch(() => null);
+  if (!tab || tab.active) return tab;
+  return chrome.tabs.update(tabId, { active: true });
+}
+
+// Waiting tabs show their place in line ("Q1", "Q2", ...) until their turn.
+// Scheduled runs have no tab until they start.
+function refreshQueueBadges() {
+  captureQueue.forEach((entry, index) => {
+    if (entry.tabId === undefined) return;
+    chrome.action.setBadgeText({ tabId: entry.tabId, text: `Q${index + 1}` });
+    chrome.action.setBadgeBackgroundColor({ tabId: entry.tabId, color: '#8b919d' });
+  });
+}
+
+function removeQueuedCaptures(predicate) {
+  let removed = 0;
+  for (let i = captureQueue.length - 1; i >= 0; i--) {
+    const entry = captureQueue[i];
+    if (!predicate(entry)) continue;
+
+    captureQueue.splice(i, 1);
+    if (entry.tabId !== undefined) {
+      chrome.action.setBadgeText({ tabId: entry.tabId, text: '' });
+    }
+    if (entry.cancelWait) {
+      // A capture waiting to continue after a selection: it ends itself
+      entry.waitCancelled = true;
+      entry.cancelWait(new Error('Capture cancelled'));
+    } else {
+      entry.resolve({ cancelled: true });
+    }
+    removed++;
+  }
+  refreshQueueBadges();
+  return removed;
+}
+
+function isRestrictedUrl(url = '') {
+  return (
+    url.startsWith('chrome://') ||
+    url.startsWith('chrome-extension://') ||
+    url.startsWith('https://chromewebstore.google.com') ||
+    url.startsWith('about:') ||
+    url.startsWith('edge://')
+  );
+}
+
+async function injectCaptureScripts(tabId) {
+  try {
+    await chrome.scripting.executeScript({
+      target: { tabId },
+      files: ['shared/constants.js', 'content/capture.js'],
+    });
+  } catch (err) {
+    console.error('Content script injection failed:', err);
+    const errorMsg = err.message || '';
+
+    if (errorMsg.includes('chrome://') || errorMsg.includes('chrome-extension://')) {
+      throw new Error('Cannot capture Chrome internal pages (chrome://, chrome-extension://)');
+    }
+    if (errorMsg.includes('file://')) {
+      throw new Error('Cannot capture local files (file://). Try a web page instead.');
+    }
+    if (errorMsg.includes('webstore')) {
+      throw new Error('Cannot capture Chrome Web Store pages due to security restrictions');
+    }
+
+    throw new Error(`Script injection failed: ${errorMsg}`);
+  }
+}
+
+// Embedded frames report their document size to the page (content/frame-probe.js).
+// Frames the extension may not script are skipped: they keep their visible size.
+async function injectFrameProbes(tabId) {
+  try {
+    await chrome.scripting.executeScript({
+      target: { tabId, allFrames: true },
+      files: ['content/frame-probe.js'],
+    });
+  } catch (err) {
+    console.warn('Frame probe injection failed:', err);
+  }
+}
+
+// Notes for the viewer about embedded frames that scroll on their own
+function describeEmbeddedFrames(metrics) {
+  const scrollable = metrics.scrollableFrames || 0;
+  const expanded = metrics.expandedFrames || 0;
+  const plural = (count) => (count === 1 ? 'embedded frame' : 'embedded frames');
+  const notes = [];
+
+  if (expanded > 0) {
+    notes.push(`Expanded ${expanded} ${plural(expanded)} to show their full content.`);
+  }
+  const clipped = scrollable - expanded;
+  if (clipped > 0) {
+    notes.push(
+      `${clipped} ${plural(clipped)} ${clipped === 1 ? 'scrolls on its own' : 'scroll on their own'}; ` +
+        'only the visible part was captured (set "Embedded frames" to "Expand fully" to include everything).'
+    );
+  }
+  return notes;
+}
+
+// "Click to hide this element": the user picks an element on the active page and
+// a selector for it is saved as a hide rule for that site.
+async function handlePickHideRule(windowId) {
+  try {
+    const tab = await resolveActiveTab(windowId);
+    if (!tab) {
+      return { error: 'No active tab found' };
+    }
+    if (isRestrictedUrl(tab.url) || !HideRules.hostKey(tab.url)) {
+      return { error: 'Hide rules are not available on this page.' };
+    }
+    // The picker shares the capture's content script, and its cleanup would end the session
+    if (tabHasCaptureSession(tab.id)) {
+      return { error: 'Wait for the capture in this tab to finish.' };
+    }
+
+    await injectCaptureScripts(tab.id);
+    try {
+      const response = await sendMessageToTab(
+        tab.id,
+        { action: MSG.PICK_HIDE_ELEMENT },
+        CAPTURE_LIMITS.SELECTION_TIMEOUT_MS
+      );
+      if (response.error) {
+        throw new Error(response.error);
+      }
+      if (response.cancelled || !response.selector) {
+        return { cancelled: true };
+      }
+
+      const selectors = await HideRules.addSelector(tab.url, response.selector);
+      await sendMessageToTab(tab.id, { action: MSG.HIDE_RULE_ADDED, selector: response.selector }).catch(() => {});
+      return { success: true, selector: response.selector, selectors };
+    } finally {
+      // A capture started in the tab meanwhile cleans up after itself
+      if (!tabHasCaptureSession(tab.id)) {
+        await sendMessageToTab(tab.id, { action: MSG.CLEANUP }).catch(() => {});
+      }
+    }
+  } catch (err) {
+    console.error('Hide rule error:', err);
+    return { error: err.message || 'Could not add hide rule' };
+  }
+}
+
+async function captureVisible(tab) {
+  const dataUrl = await captureWithRetry(tab.windowId);
+  const settings = await loadCaptureSettings();
+  const zoomFactor = await getTabZoom(tab.id);
+  let blob = await dataUrlToBlob(dataUrl);
+  let imageInfo = await getImageDimensions(blob, tab.width || 0, tab.height || 0);
+
+  // tab.width is in screen points, unaffected by page zoom: the screenshot has
+  // screenDpr pixels per point, and a zoomed page has 1 / zoom CSS pixels per point
+  const screenDpr = tab.width ? imageInfo.width / tab.width : 1;
+  const nativeDpr = screenDpr * zoomFactor;
+  const cssWidth = imageInfo.width / nativeDpr;
+  const outputDpr = resolveOutputDpr(settings, nativeDpr, cssWidth);
+
+  if (Math.abs(outputDpr - nativeDpr) > 0.001) {
+    ({ blob, imageInfo } = await resizeImage(blob, imageInfo, outputDpr / nativeDpr));
+  }
+
+  return storeImageCapture(blob, imageInfo, {
+    url: tab.url,
+    title: tab.title,
+    mode: 'visible',
+    windowId: tab.windowId,
+    scale: {
+      devicePixelRatio: roundTo(imageInfo.width / cssWidth, 3),
+      originalDevicePixelRatio: roundTo(nativeDpr, 3),
+      screenDevicePixelRatio: roundTo(screenDpr, 3),
+      zoomFactor,
+      outputScale: settings.outputScale,
+    },
+  });
+}
+
+// Image pixels per CSS pixel for the output scale setting. `nativeDpr` is what the
+// browser renders at (screen pixel ratio times page zoom); `cssWidth` the captured width.
+function resolveOutputDpr(settings, nativeDpr, cssWidth) {
+  switch (settings.outputScale) {
+    case '1x':
+      return 1;
+    case '2x':
+      return 2;
+    case 'fit':
+      return (Number(settings.outputFitWidth) || DEFAULTS.outputFitWidth) / Math.max(1, cssWidth);
+    default:
+      return nativeDpr;
+  }
+}
+
+async function getTabZoom(tabId) {
+  return chrome.tabs.getZoom(tabId).catch(() => 1);
+}
+
+async function resizeImage(blob, imageInfo, factor) {
+  const width = Math.max(1, Math.round(imageInfo.width * factor));
+  const height = Math.max(1, Math.round(imageInfo.height * factor));
+  const bitmap = await createImageBitmap(blob);
+  const canvas = new OffscreenCanvas(width, height);
+  const ctx = canvas.getContext('2d');
+  ctx.imageSmoothingQuality = 'high';
+  ctx.drawImage(bitmap, 0, 0, width, height);
+  bitmap.close();
+  return { blob: await canvas.convertToBlob({ type: 'image/png' }), imageInfo: { width, height } };
+}
+
+// Stores a single image as a one-segment capture and opens it in the viewer
+// `scale` carries the pixel ratios of captures taken from the screen; images saved
+// as they are (context menu) have no CSS size and default to one pixel per pixel.
+async function storeImageCapture(blob, imageInfo, { url, title, mode, sourceUrl = null, windowId, scale = {} }) {
+  const captureId = createCaptureId();
+  const now = Date.now();
+
+  await CaptureStore.putCaptureSegment({
+    captureId,
+    index: 0,
+    blob,
+    width: imageInfo.width,
+    height: imageInfo.height,
+    yStart: 0,
+    yEnd: imageInfo.height,
+  });
+
+  await CaptureStore.putCaptureMeta({
+    captureId,
+    createdAt: now,
+    updatedAt: now,
+    url,
+    title,
+    mode,
+    sourceUrl,
+    segmentCount: 1,
+    width: imageInfo.width,
+    totalHeight: imageInfo.height,
+    devicePixelRatio: 1,
+    ...scale,
+    warnings: [],
+  });
+
+  await openViewer(captureId, windowId);
+
+  return { success: true, captureId };
+}
+
+// Options beyond `mode`, mostly for captures started as part of a set:
+//   emulation     - { width, height, mobile } viewport to emulate through the debugger
+//   setId         - capture set the finished capture is added to
+//   openViewer    - false to skip opening the viewer for this capture
+//   contextTarget - element mode: capture the right-clicked element instead of picking one
+async function captureFullPage(tab, options = {}) {
+  const mode = options.mode || 'full';
+  const tabId = tab.id;
+  const job = startCaptureJob(createCaptureId(), tabId, tab.windowId);
+  const session = { tabId, injected: false, framesFrozen: false, debuggerAttached: false };
+  const emulation = options.emulation || null;
+
+  try {
+    const settings = await loadCaptureSettings();
+
+    // Emulated widths are laid out before the page is measured
+    if (emulation) {
+      await emulateViewport(session, emulation);
+    }
+
+    // Selection modes work in document coordinates, so only full-page captures
+    // may switch to scrolling an inner container. Emulated viewports are only
+    // captured by the DevTools protocol engine, which cannot scroll one either.
+    const scrollContainer = mode === 'full' && !emulation ? settings.scrollContainer : 'page';
+    const metrics = await beginPageSession(session, tab.url, settings, scrollContainer, mode);
+    if (!metrics) {
+      return { cancelled: true };
+    }
+
+    throwIfCancelled(job);
+
+    const warnings = [];
+    if (mode === 'full') {
+      warnings.push(...describeEmbeddedFrames(metrics));
+    }
+
+    if (mode === 'full' && settings.warmUp) {
+      sendMessageToTab(tabId, { action: MSG.CAPTURE_PROGRESS, phase: 'warm-up', progress: 0 }).catch(() => {});
+      const warmUp = await sendMessageToTab(
+        tabId,
+        { action: MSG.WARM_UP },
+        CAPTURE_LIMITS.WARM_UP_MAX_MS + 10000
+      );
+      if (warmUp.error) {
+        throw new Error(`Lazy-load warm-up failed: ${warmUp.error}`);
+      }
+
+      metrics.totalHeight = Math.max(metrics.viewportHeight, warmUp.totalHeight || metrics.totalHeight);
+      if (warmUp.timedOut) {
+        warnings.push('Lazy-load warm-up hit its time limit; some images may still be placeholders.');
+      }
+    }
+
+    // The content script froze CSS motion and media; script-driven motion lives in the
+    // page's own world. Done after warm-up, whose lazy loaders may rely on animation frames.
+    throwIfCancelled(job);
+    session.framesFrozen = await setAnimationFramesFrozen(tabId, true);
+
+    let clip = fullPageClip(metrics);
+    let frame = null;
+    // Scroll position a fixed element is captured at; the page is not scrolled
+    let pinnedScroll = null;
+
+    if (mode === 'region') {
+      const selection = await awaitSelection(job, options.slot, requestSelection(tabId, MSG.SELECT_REGION));
+      if (!selection) {
+        return { cancelled: true };
+      }
+      clip = normalizeClip(selection.rect, metrics);
+    } else if (mode === 'element') {
+      const selection = await awaitSelection(job, options.slot, requestSelection(tabId, MSG.PICK_ELEMENT, {
+        contextTarget: Boolean(options.contextTarget),
+      }));
+      if (!selection) {
+        return { cancelled: true };
+      }
+      clip = normalizeClip(selection.rect, metrics);
+      frame = buildElementFrame(selection, settings);
+      if (selection.fixed) {
+        pinnedScroll = { x: selection.scrollX || 0, y: selection.scrollY || 0 };
+      }
+    }
+
+    const padding = frame ? frame.padding : 0;
+
+    // The DevTools protocol engine screenshots document rectangles, which cannot
+    // reach content scrolled inside an inner container
+    let engine = settings.captureEngine === 'cdp' || emulation ? 'cdp' : 'scroll';
+    if (engine === 'cdp' && metrics.scrollContainer) {
+      engine = 'scroll';
+      warnings.push('Inner scroll areas are captured with the scroll engine.');
+    }
+    // The DevTools protocol engine lays the whole page out in one tall viewport,
+    // which moves fixed content away from where it was picked
+    if (engine === 'cdp' && pinnedScroll) {
+      engine = 'scroll';
+      warnings.push('Fixed elements are captured with the scroll engine.');
+    }
+
+    const strategy = computeCaptureStrategy(metrics, clip.width + padding * 2, settings);
+    if (engine === 'scroll' && strategy.effectiveDpr > metrics.devicePixelRatio + 0.01) {
+      // Screenshots of the screen hold only its own pixels; the DevTools engine renders more
+      warnings.push(
+        `Scaled up from the screen's ${roundTo(metrics.devicePixelRatio, 2)}× pixels, so fine detail may look soft.`
+      );
+    }
+
+    // Everything the capture loop needs, persisted as the job record so the capture
+    // can resume (or be finalized) if the service worker is terminated mid-way.
+    const state = {
+      captureId: job.captureId,
+      tabId,
+      windowId: tab.windowId,
+      url: tab.url,
+      title: tab.title,
+      mode,
+      engine,
+      emulation,
+      setId: options.setId || null,
+      openViewer: options.openViewer !== false,
+      createdAt: Date.now(),
+      // Re-attaching on resume: an inner container is found again by auto-detection
+      scrollContainer: metrics.scrollContainer ? 'auto' : 'page',
+      metrics,
+      // Where the scrolled content sits inside each captured frame
+      frameOrigin: metrics.containerRect || { x: 0, y: 0 },
+      clip,
+      frame,
+      padding,
+      strategy,
+      zoomFactor: await getTabZoom(tabId),
+      // Pages wider than the viewport are captured as a grid: every row of the
+      // vertical plan is repeated for each horizontal scroll position.
+      xPositions: pinnedScroll
+        ? [pinnedScroll.x]
+        : calculateScrollPositions(clip.x, clip.x + clip.width, metrics.viewportWidth, metrics.totalWidth),
+      // Full-page captures follow the page when it grows (content loading in) or
+      // shrinks (a collapsing header) mid-capture: the remaining rows are re-planned
+      // after every scroll. Region and element clips are fixed rectangles.
+      followPageHeight: mode === 'full',
+      plan: pinnedScroll ? { ...createRowPlan(clip, metrics), rows: [pinnedScroll.y] } : createRowPlan(clip, metrics),
+      segmentCount: 0,
+      tilesCaptured: 0,
+      // Segments are contiguous: each starts where the previous one ended, even when
+      // its first row overlaps the previous segment.
+      nextSegmentY: clip.y,
+      heightChanges: [],
+      // Where the page actually scrolled when it differs from the plan (scroll
+      // snapping, clamping), and shifts applied after comparing row overlaps.
+      scrollCorrections: [],
+      overlapCorrections: [],
+      // Frames shot again because they came back blank or torn: { x, y, reason }
+      frameRecaptures: [],
+      // Screenshots taken and time spent taking them, for the measured frame rate
+      frameStats: { frames: 0, elapsedMs: 0 },
+      // A kept sticky header covers the top of every frame, so overlaps never match
+      checkTornFrames: settings.stickyHeader !== 'keep',
+      warnings,
+    };
+
+    await CaptureStore.putCaptureJob(state);
+    return await runCaptureJob(job, state, session);
+  } catch (err) {
+    // Drops whatever segments were stored before the failure or cancel
+    await CaptureStore.deleteCapture(job.captureId).catch(() => {});
+    if (job.cancelled) {
+      return { cancelled: true };
+    }
+    console.error('Full-page capture failed:', err);
+    return { error: err.message || 'Capture failed', debuggerUnavailable: Boolean(err.debuggerUnavailable) };
+  } finally {
+    await endCaptureJob(job, session);
+  }
+}
+
+// --- Capture sets ---
+
+function createCaptureSet(kind, name, extra = {}) {
+  return CaptureStore.putCaptureSet({
+    setId: createCaptureId(),
+    kind,
+    name,
+    createdAt: Date.now(),
+    captureIds: [],
+    failures: [],
+    ...extra,
+  });
+}
+
+// Captures the page once per configured width, each as its own capture, and
+// opens the set view to compare them.
+async function captureBreakpoints(tab) {
+  const settings = await loadCaptureSettings();
+  const widths = normalizeBreakpointWidths(settings.breakpointWidths);
+  if (widths.length === 0) {
+    return { error: 'No breakpoint widths configured' };
+  }
+
+  const set = await createCaptureSet('breakpoints', `${tab.title || tab.url} · responsive`, {
+    url: tab.url,
+    widths,
+  });
+
+  for (const width of widths) {
+    const result = await captureFullPage(tab, {
+      mode: 'full',
+      emulation: { width, height: tab.height || 800, mobile: width <= CAPTURE_LIMITS.MOBILE_MAX_WIDTH },
+      setId: set.setId,
+      openViewer: false,
+    });
+
+    if (result.cancelled) {
+      await discardCaptureSet(set.setId);
+      return { cancelled: true };
+    }
+    if (result.error) {
+      // Without debugger access no further width can succeed either
+      if (result.debuggerUnavailable) {
+        const stored = await CaptureStore.getCaptureSet(set.setId);
+        if (stored.captureIds.length === 0) {
+          await CaptureStore.deleteCaptureSet(set.setId);
+          return { error: result.error };
+        }
+        await recordSetFailure(set.setId, `${width}px`, result.error);
+        break;
+      }
+      await recordSetFailure(set.setId, `${width}px`, result.error);
+    }
+  }
+
+  await openSetViewer(set.setId, tab.windowId);
+  return { success: true, setId: set.setId };
+}
+
+// Captures every tab of a window, or just the selected ones when several are
+// highlighted, into one set. Tabs are brought forward one by one and the
+// originally active tab is restored at the end.
+async function handleCaptureAllTabs(windowId, name) {
+  const [activeTab] = await chrome.tabs.query(
+    windowId ? { active: true, windowId } : { active: true, lastFocusedWindow: true }
+  );
+  if (!activeTab) {
+    return { error: 'No active tab found' };
+  }
+
+  const tabs = await chrome.tabs.query({ windowId: activeTab.windowId });
+  const highlighted = tabs.filter((tab) => tab.highlighted);
+  const targets = highlighted.length > 1 ? highlighted : tabs;
+
+  return enqueueCapture({
+    tabId: activeTab.id,
+    windowId: activeTab.windowId,
+    run: () => captureTabs(targets, activeTab, name),
+  });
+}
+
+async function captureTabs(tabs, restoreTab, name) {
+  // Browser and extension pages cannot be captured, and tabs without host access
+  // do not even show their URL: they are listed as skipped rather than failed
+  const targets = tabs.filter((tab) => tab.url && !isRestrictedUrl(tab.url));
+  const skipped = tabs
+    .filter((tab) => !targets.includes(tab))
+    .map((tab) => ({
+      label: tab.title || tab.url || `Tab ${tab.index + 1}`,
+      reason: tab.url ? 'Browser restricts screenshots on this page' : 'No access to this page',
+    }));
+  if (targets.length === 0) {
+    return { error: 'None of these tabs can be captured' };
+  }
+
+  const set = await createCaptureSet('tabs', name || `${targets.length} tabs · ${new Date().toLocaleString()}`, {
+    skipped,
+  });
+
+  try {
+    for (const target of targets) {
+      const tab = await bringQueuedTabForward(target.id);
+      const loaded = tab && (await waitForTabLoad(tab.id));
+      if (!loaded) continue; // Closed meanwhile
+
+      const result = await captureFullPage(loaded, { mode: 'full', setId: set.setId, openViewer: false });
+      if (result.cancelled) {
+        await discardCaptureSet(set.setId);
+        return { cancelled: true };
+      }
+      if (result.error) {
+        await recordSetFailure(set.setId, tab.title || tab.url, result.error);
+      }
+    }
+  } finally {
+    await chrome.tabs.update(restoreTab.id, { active: true }).catch(() => {});
+  }
+
+  await openSetViewer(set.setId, restoreTab.windowId);
+  return { success: true, setId: set.setId };
+}
+
+// Resolves with the tab once it has finished loading (discarded tabs reload when
+// activated), or as it is after TAB_LOAD_TIMEOUT_MS.
+// Resolves null when the tab is closed meanwhile.
+function waitForTabLoad(tabId) {
+  return new Promise((resolve) => {
+    let done = false;
+    const finish = async () => {
+      if (done) return;
+      done = true;
+      clearTimeout(timer);
+      chrome.tabs.onUpdated.removeListener(onUpdated);
+      resolve(await chrome.tabs.get(tabId).catch(() => null));
+    };
+    const onUpdated = (updatedId, changeInfo) => {
+      if (updatedId === tabId && changeInfo.status === 'complete') finish();
+    };
+    const timer = setTimeout(finish, CAPTURE_LIMITS.TAB_LOAD_TIMEOUT_MS);
+
+    // Listen first, so a load completing in between is not missed
+    chrome.tabs.onUpdated.addListener(onUpdated);
+    chrome.tabs.get(tabId).then(
+      (tab) => {
+        if (tab.status === 'complete' && !tab.discarded) finish();
+      },
+      () => finish()
+    );
+  });
+}
+
+// --- URL-list batches ---
+
+// Starts a batch from the batch page and answers right away with the set id;
+// the page follows along through BATCH_PROGRESS messages and the set's report.
+async function handleCaptureUrlList(message, pageTab) {
+  const urls = (message.urls || []).map((url) => String(url).trim()).filter(Boolean);
+  if (urls.length === 0) {
+    return { error: 'Add at least one URL' };
+  }
+  if (activeBatch) {
+    return { error: 'Another URL list is still being captured' };
+  }
+
+  const settleMs = Math.max(0, Math.round(Number(message.settleMs) || 0));
+  const set = await createCaptureSet('urls', message.name || `${urls.length} URLs · ${new Date().toLocaleString()}`, {
+    report: urls.map((url) => ({ url, status: 'pending' })),
+  });
+
+  const batch = { setId: set.setId, tabId: null, cancelled: false };
+  activeBatch = batch;
+  enqueueCapture({
+    tabId: pageTab?.id,
+    windowId: pageTab?.windowId,
+    run: () => captureUrlList(batch, set, settleMs, pageTab),
+  })
+    // Cancelled while queued, or stopped by an error: nothing is left waiting
+    .then(() => closeBatchReport(set))
+    .catch((err) => console.error('Batch report error:', err))
+    .finally(() => {
+      activeBatch = null;
+    });
+
+  return { ok: true, setId: set.setId };
+}
+
+// Each URL is captured in its own background tab (see captureUrlInBackgroundTab)
+async function captureUrlList(batch, set, settleMs, pageTab) {
+  const windowId = pageTab?.windowId;
+
+  for (let index = 0; index < set.report.length; index++) {
+    const entry = set.report[index];
+
+    if (batch.cancelled) {
+      entry.status = 'cancelled';
+      await updateBatchReport(set, index);
+      continue;
+    }
+    if (!/^https?:\/\//i.test(entry.url)) {
+      entry.status = 'error';
+      entry.error = 'Only http and https URLs can be captured';
+      await updateBatchReport(set, index);
+      continue;
+    }
+
+    entry.status = 'running';
+    await updateBatchReport(set, index);
+    const startedAt = Date.now();
+
+    try {
+      const result = await captureUrlInBackgroundTab(entry.url, { windowId, settleMs, setId: set.setId, batch });
+      // Cancelled from the popup or the page: the rest of the batch stops too
+      if (result.cancelled) {
+        batch.cancelled = true;
+      }
+      entry.status = result.cancelled ? 'cancelled' : 'ok';
+      entry.captureId = result.captureId || null;
+      entry.title = result.title;
+    } catch (err) {
+      if (batch.cancelled) {
+        entry.status = 'cancelled';
+      } else {
+        entry.status = 'error';
+        entry.error = err.message || 'Capture failed';
+      }
+    }
+
+    entry.durationMs = Date.now() - startedAt;
+    if (entry.status === 'error') {
+      await recordSetFailure(set.setId, entry.url, entry.error);
+    }
+    await updateBatchReport(set, index);
+  }
+
+  return { success: true, setId: set.setId };
+}
+
+// Tab lifecycle for capturing a URL nobody has open: a background tab is opened,
+// loaded and settled, brought forward only for the capture itself (captureVisibleTab
+// needs it showing), then closed, and the window's previous tab is shown again.
+// `batch`, when given, tracks the open tab so the batch can be cancelled.
+async function captureUrlInBackgroundTab(url, { windowId, settleMs, setId, batch = null }) {
+  const [previousTab] = await chrome.tabs.query(
+    windowId ? { active: true, windowId } : { active: true, lastFocusedWindow: true }
+  );
+  let tabId = null;
+
+  try {
+    const created = await chrome.tabs.create({ url, active: false, ...(windowId ? { windowId } : {}) });
+    tabId = created.id;
+    if (batch) batch.tabId = tabId;
+
+    const loaded = await waitForTabLoad(tabId);
+    if (!loaded) {
+      throw new Error('The tab was closed before it finished loading');
+    }
+    await delay(settleMs);
+    if (batch) throwIfBatchCancelled(batch);
+
+    const tab = await bringQueuedTabForward(tabId);
+    const result = await captureFullPage(tab, { mode: 'full', setId, openViewer: false });
+    if (result.error) {
+      throw new Error(result.error);
+    }
+    return { ...result, title: tab.title || '' };
+  } finally {
+    if (batch) batch.tabId = null;
+    if (tabId !== null) {
+      await chrome.tabs.remove(tabId).catch(() => {});
+    }
+    if (previousTab) {
+      await chrome.tabs.update(previousTab.id, { active: true }).catch(() => {});
+    }
+  }
+}
+
+function throwIfBatchCancelled(batch) {
+  if (batch.cancelled) {
+    throw new Error('Batch cancelled');
+  }
+}
+
+function cancelBatch(setId) {
+  if (!activeBatch || activeBatch.setId !== setId) {
+    return { ok: false, error: 'No batch in progress' };
+  }
+
+  // URLs not started yet are marked cancelled as the batch reaches them
+  activeBatch.cancelled = true;
+  if (activeBatch.tabId !== null) {
+    cancelCapture({ tabId: activeBatch.tabId });
+  }
+  return { ok: true };
+}
+
+// Stores the report on the set (so a reopened batch page can show it) and tells
+// any open batch page
+// Marks the entries a batch never got to as cancelled
+async function closeBatchReport(set) {
+  let last = -1;
+  set.report.forEach((entry, index) => {
+    if (entry.status === 'pending' || entry.status === 'running') {
+      entry.status = 'cancelled';
+      last = index;
+    }
+  });
+  if (last >= 0) {
+    await updateBatchReport(set, last);
+  }
+}
+
+async function updateBatchReport(set, index) {
+  const stored = await CaptureStore.getCaptureSet(set.setId);
+  if (stored) {
+    stored.report = set.report;
+    await CaptureStore.putCaptureSet(stored);
+  }
+
+  chrome.runtime.sendMessage({
+    action: MSG.BATCH_PROGRESS,
+    setId: set.setId,
+    index,
+    entry: set.report[index],
+    report: set.report,
+  }).catch(() => {});
+}
+
+async function recordSetFailure(setId, label, error) {
+  const set = await CaptureStore.getCaptureSet(setId);
+  if (!set) return;
+  set.failures.push({ label, error });
+  await CaptureStore.putCaptureSet(set);
+}
+
+async function renameCaptureSet(setId, name) {
+  const set = setId ? await CaptureStore.getCaptureSet(setId) : null;
+  const trimmed = String(name || '').trim();
+  if (!set) {
+    return { error: 'Capture set not found' };
+  }
+  if (!trimmed) {
+    return { error: 'Name cannot be empty' };
+  }
+
+  set.name = trimmed;
+  await CaptureStore.putCaptureSet(set);
+  return { ok: true, set };
+}
+
+function normalizeBreakpointWidths(widths) {
+  const list = Array.isArray(widths) ? widths : DEFAULTS.breakpointWidths;
+  const inRange = (w) => w >= CAPTURE_LIMITS.BREAKPOINT_MIN_WIDTH && w <= CAPTURE_LIMITS.BREAKPOINT_MAX_WIDTH;
+  return [...new Set(list.map((w) => Math.round(Number(w))).filter(inRange))].sort((a, b) => a - b);
+}
+
+async function discardCaptureSet(setId) {
+  const set = await CaptureStore.getCaptureSet(setId);
+  for (const captureId of set?.captureIds || []) {
+    await CaptureStore.deleteCapture(captureId).catch(() => {});
+  }
+  await CaptureStore.deleteCaptureSet(setId);
+}
+
+async function getCaptureSet(setId) {
+  const set = setId ? await CaptureStore.getCaptureSet(setId) : null;
+  if (!set) {
+    return { error: 'Capture set not found' };
+  }
+
+  // Captures deleted from the viewer since drop out of the set
+  const metas = [];
+  for (const captureId of set.captureIds) {
+    const meta = await CaptureStore.getCaptureMeta(captureId);
+    if (meta) metas.push(meta);
+  }
+  return { set, metas };
+}
+
+// --- Scheduled captures ---
+
+// Each enabled schedule has a one-shot alarm for its next run. Runs record
+// lastRunAt, and every change to the stored schedules re-plans the alarms.
+async function syncScheduleAlarms() {
+  const all = await Schedules.list();
+  // Runs only wait in this worker's queue: one stopped with the worker never ends
+  for (const schedule of all) {
+    if (schedule.lastResult?.status === 'queued' && !queuedSchedules.has(schedule.id)) {
+      await Schedules.update(schedule.id, {
+        lastResult: { status: 'error', error: 'Interrupted before it ran', at: Date.now() },
+      });
+    }
+  }
+
+  const schedules = all.filter((schedule) => schedule.enabled);
+  const alarms = await chrome.alarms.getAll();
+  const wanted = new Set(schedules.map((schedule) => Schedules.alarmName(schedule.id)));
+
+  for (const alarm of alarms) {
+    if (Schedules.idFromAlarm(alarm.name) && !wanted.has(alarm.name)) {
+      await chrome.alarms.clear(alarm.name);
+    }
+  }
+
+  const now = Date.now();
+  for (const schedule of schedules) {
+    const name = Schedules.alarmName(schedule.id);
+    const existing = alarms.find((alarm) => alarm.name === name);
+    const planned = Schedules.nextRunTime(schedule);
+    // Runs missed while the browser was closed are caught up once, shortly after startup
+    const when = Math.max(planned, now + CAPTURE_LIMITS.SCHEDULE_CATCH_UP_DELAY_MS);
+
+    if (existing && Math.abs(existing.scheduledTime - planned) < 1000) continue;
+    if (existing && planned <= now && existing.scheduledTime <= when) continue;
+    await chrome.alarms.create(name, { when });
+  }
+}
+
+// Queues a schedule's capture (from its alarm or "Run now") and answers right
+// away; the outcome is stored on the schedule as lastResult.
+async function runSchedule(scheduleId) {
+  const schedule = await Schedules.get(scheduleId);
+  if (!schedule) {
+    return { error: 'Schedule not found' };
+  }
+  if (queuedSchedules.has(scheduleId)) {
+    return { error: 'This schedule is already waiting to run' };
+  }
+
+  // The run opens its tab in the last focused window; picked now, so the popup
+  // there shows the run as queued and can cancel it
+  const focusedWindow = await chrome.windows.getLastFocused({ windowTypes: ['normal'] }).catch(() => null);
+  if (!focusedWindow) {
+    const lastResult = { status: 'error', error: 'No browser window was open', at: Date.now() };
+    await Schedules.update(scheduleId, { lastRunAt: Date.now(), lastResult });
+    return { error: lastResult.error };
+  }
+
+  queuedSchedules.add(scheduleId);
+  // Recorded up front, so the next alarm is planned from this run whatever its outcome
+  await Schedules.update(scheduleId, { lastRunAt: Date.now(), lastResult: { status: 'queued' } });
+
+  enqueueCapture({ windowId: focusedWindow.id, run: () => captureSchedule(scheduleId, focusedWindow.id) })
+    .then((result) => {
+      const lastResult = result.cancelled
+        ? { status: 'cancelled' }
+        : result.error
+          ? { status: 'error', error: result.error }
+          : { status: 'ok', captureId: result.captureId };
+      return Schedules.update(scheduleId, { lastResult: { ...lastResult, at: Date.now() } });
+    })
+    .catch((err) => console.error('Scheduled capture error:', err))
+    .finally(() => queuedSchedules.delete(scheduleId));
+
+  return { ok: true };
+}
+
+// Captures the schedule's URL in a background tab of the given window into the
+// schedule's set, then drops the oldest captures beyond its retention limit.
+async function captureSchedule(scheduleId, windowId) {
+  const schedule = await Schedules.get(scheduleId);
+  if (!schedule) {
+    return { cancelled: true }; // Deleted while queued
+  }
+
+  const targetWindow = await chrome.windows.get(windowId).catch(() => null);
+  if (!targetWindow) {
+    return { error: 'The browser window it was queued for was closed' };
+  }
+
+  const set = await ensureScheduleSet(schedule);
+  const settings = await loadCaptureSettings();
+
+  try {
+    const result = await captureUrlInBackgroundTab(schedule.url, {
+      windowId,
+      settleMs: settings.batchSettleMs,
+      setId: set.setId,
+    });
+    await pruneScheduleSet(set.setId, schedule.retention);
+    return result;
+  } catch (err) {
+    await recordSetFailure(set.setId, new Date().toLocaleString(), err.message || 'Capture failed');
+    await pruneScheduleSet(set.setId, schedule.retention);
+    return { error: err.message || 'Capture failed' };
+  }
+}
+
+// The set holding a schedule's history, named after the schedule. Created on the
+// first run, and again if it was deleted since.
+async function ensureScheduleSet(schedule) {
+  const existing = schedule.setId ? await CaptureStore.getCaptureSet(schedule.setId) : null;
+  if (existing) {
+    if (existing.name !== schedule.name || existing.url !== schedule.url) {
+      existing.name = schedule.name;
+      existing.url = schedule.url;
+      await CaptureStore.putCaptureSet(existing);
+    }
+    return existing;
+  }
+
+  const set = await createCaptureSet('schedule', schedule.name, { url: schedule.url, scheduleId: schedule.id });
+  await Schedules.update(schedule.id, { setId: set.setId });
+  return set;
+}
+
+// Keeps the newest `retention` captures (and failure notes) of a schedule's set
+async function pruneScheduleSet(setId, retention) {
+  const set = await CaptureStore.getCaptureSet(setId);
+  if (!set) return;
+
+  const expired = set.captureIds.slice(0, Math.max(0, set.captureIds.length - retention));
+  for (const captureId of expired) {
+    await CaptureStore.deleteCapture(captureId).catch(() => {});
+  }
+  if (expired.length === 0 && set.failures.length <= retention) return;
+
+  set.captureIds = set.captureIds.slice(expired.length);
+  set.failures = set.failures.slice(-retention);
+  await CaptureStore.putCaptureSet(set);
+}
+
+function startCaptureJob(captureId, tabId, windowId) {
+  const job = { captureId, tabId, windowId, cancelled: false, progress: 0 };
+  claimActiveCapture(job);
+  return job;
+}
+
+function claimActiveCapture(job) {
+  activeCapture = job;
+  // Wakes a terminated service worker so the job can resume (see resumeInterruptedCaptures)
+  chrome.alarms.create(CAPTURE_WATCHDOG_ALARM, { periodInMinutes: CAPTURE_LIMITS.WATCHDOG_PERIOD_MIN });
+}
+
+// While the user selects, the job is not the active capture: the queue may run
+// others (see waitOutsideQueue). It is listed in selectingCaptures instead, and
+// cancelling it there or from the queue counts as a cancel.
+async function awaitSelection(job, slot, selectionPromise) {
+  if (!slot) return selectionPromise;
+
+  if (activeCapture === job) {
+    activeCapture = null;
+  }
+  // The selection UI stays up until the capture's cleanup removes it
+  const cancelled = new Promise((resolve, reject) => {
+    job.cancelSelection = () => {
+      slot.waitCancelled = true;
+      reject(new Error('Capture cancelled'));
+    };
+  });
+  selectingCaptures.add(job);
+  try {
+    const selection = await waitOutsideQueue(slot, Promise.race([selectionPromise, cancelled]));
+    // A capture in the same window may have switched tabs meanwhile
+    await bringQueuedTabForward(job.tabId);
+    return selection;
+  } catch (err) {
+    if (slot.waitCancelled) {
+      job.cancelled = true;
+    }
+    throw err;
+  } finally {
+    selectingCaptures.delete(job);
+    job.cancelSelection = null;
+    // A job cancelled from the queue never gets its slot back
+    if (!slot.waitCancelled) {
+      claimActiveCapture(job);
+    }
+  }
+}
+
+// Whether a capture has set the page up in the tab: running, or waiting for the
+// user's selection there
+function tabHasCaptureSession(tabId) {
+  return activeCapture?.tabId === tabId || [...selectingCaptures].some((job) => job.tabId === tabId);
+}
+
+async function endCaptureJob(job, session) {
+  if (activeCapture === job) {
+    activeCapture = null;
+    chrome.alarms.clear(CAPTURE_WATCHDOG_ALARM);
+  }
+  chrome.action.setBadgeText({ tabId: job.tabId, text: '' });
+
+  if (session.debuggerAttached) {
+    await chrome.debugger.detach({ tabId: session.tabId }).catch(() => {});
+  }
+  if (session.framesFrozen) {
+    await setAnimationFramesFrozen(session.tabId, false);
+  }
+  if (session.injected) {
+    await sendMessageToTab(session.tabId, { action: MSG.CLEANUP }).catch(() => {});
+  }
+}
+
+// Injects the content script and prepares the page (hide rules, freezing, sticky
+// policy, scroll container). Returns the page metrics, or null when the user
+// cancelled picking a scroll area.
+async function beginPageSession(session, url, settings, scrollContainer, mode) {
+  // Embedded frames matter to full-page captures only: regions and elements keep
+  // the layout they were picked in. 'detect' counts frames that scroll on their own,
+  // so the capture can warn that they were cut off.
+  const frames = mode !== 'full' ? 'ignore' : settings.iframeContent === 'expand' ? 'expand' : 'detect';
+
+  await injectCaptureScripts(session.tabId);
+  if (frames !== 'ignore') {
+    await injectFrameProbes(session.tabId);
+  }
+  session.injected = true;
+
+  const response = await sendMessageToTab(
+    session.tabId,
+    {
+      action: MSG.START_CAPTURE,
+      scrollContainer,
+      frames,
+      stickyPolicy: { header: settings.stickyHeader, footer: settings.stickyFooter },
+      hideSelectors: await HideRules.getSelectors(url),
+    },
+    scrollContainer === 'pick' ? CAPTURE_LIMITS.SELECTION_TIMEOUT_MS : undefined
+  );
+  if (response.error) {
+    throw new Error(response.error);
+  }
+  return response.cancelled ? null : response;
+}
+
+async function runCaptureJob(job, state, session) {
+  await ensureOffscreenDocument();
+
+  if (state.engine === 'cdp' && !session.debuggerAttached && !(await attachDebugger(session))) {
+    // No debugger permission, or DevTools is already attached to the tab
+    state.engine = 'scroll';
+    state.warnings.push('DevTools protocol capture was unavailable; used the scroll engine instead.');
+  }
+
+  if (state.engine === 'cdp') {
+    await captureSegmentsWithDebugger(job, state);
+  } else {
+    await captureSegments(job, state);
+  }
+  return finalizeCapture(state, { complete: true });
+}
+
+// The capture loop. Segments are stitched one at a time in the offscreen document;
+// after each stored segment the job record is updated, so a restarted worker picks
+// up at the next segment.
+async function captureSegments(job, state) {
+  const { tabId, windowId, captureId, metrics, frameOrigin, clip, frame, strategy, xPositions, plan } = state;
+  // Job records saved by an older version lack these
+  state.frameRecaptures = state.frameRecaptures || [];
+  state.frameStats = state.frameStats || { frames: 0, elapsedMs: 0 };
+
+  while (plan.cursor < plan.rows.length) {
+    const segmentIndex = state.segmentCount;
+    const segmentStartY = state.nextSegmentY;
+    // Leave one viewport of headroom so a page that grows mid-segment can still
+    // finish its current row; anything beyond starts a new segment.
+    const segmentHeight = planSegmentHeight(
+      plan,
+      segmentStartY,
+      metrics.viewportHeight,
+      strategy,
+      state.followPageHeight ? metrics.viewportHeight : 0
+    );
+
+    const prepareResponse = await chrome.runtime.sendMessage({
+      action: MSG.PREPARE_CANVAS,
+      width: clip.width,
+      height: segmentHeight,
+      devicePixelRatio: strategy.effectiveDpr,
+      frame,
+    });
+
+    if (prepareResponse?.error) {
+      throw new Error(`Canvas preparation failed: ${prepareResponse.error}`);
+    }
+    if (!prepareResponse?.ok) {
+      throw new Error('Canvas preparation did not confirm success');
+    }
+    // Frame timing covers the capture loop only, not canvas setup or storing the segment
+    const loopStartedAt = Date.now();
+
+    const stitchQueue = new Set();
+    let segmentEndY = segmentStartY;
+    let rowsInSegment = 0;
+
+    while (plan.cursor < plan.rows.length && rowsInSegment < strategy.viewportsPerSegment) {
+      let rowY = plan.rows[plan.cursor];
+      const plannedRowBottom = Math.min(plan.captureBottom, rowY + metrics.viewportHeight);
+      if (rowsInSegment > 0 && plannedRowBottom > segmentStartY + segmentHeight) {
+        break;
+      }
+
+      for (let column = 0; column < xPositions.length; column++) {
+        throwIfCancelled(job);
+
+        const isFirst = state.tilesCaptured === 0;
+        const remainingTiles = (plan.rows.length - plan.cursor) * xPositions.length - column;
+        const isLast = remainingTiles === 1;
+        const progress = (state.tilesCaptured + 1) / (state.tilesCaptured + remainingTiles);
+
+        await updateProgress(job, {
+          progress,
+          current: state.tilesCaptured + 1,
+          total: state.tilesCaptured + remainingTiles,
+          isLast,
+        });
+
+        const scrollResponse = await sendMessageToTab(tabId, {
+          action: MSG.SCROLL_TO,
+          scrollX: xPositions[column],
+          scrollY: rowY,
+          isFirst,
+          isLast,
+          progress,
+        });
+
+        if (scrollResponse?.error || !scrollResponse?.ok) {
+          throw new Error(scrollResponse?.error || 'Failed to scroll page during capture');
+        }
+
+        if (
+          state.followPageHeight &&
+          Number.isFinite(scrollResponse.totalHeight) &&
+          scrollResponse.totalHeight !== plan.totalHeight
+        ) {
+          state.heightChanges.push({ atY: rowY, from: plan.totalHeight, to: scrollResponse.totalHeight });
+          replanRows(plan, scrollResponse.totalHeight, metrics.viewportHeight);
+          // A shrinking page clamps the position we just scrolled to
+          rowY = plan.rows[plan.cursor];
+        }
+
+        // Stitch at the position the page reports, not the one we asked for
+        let tileX = xPositions[column];
+        if (Number.isFinite(scrollResponse.scrollX) && Number.isFinite(scrollResponse.scrollY)) {
+          if (Math.abs(scrollResponse.scrollX - tileX) >= 1 || Math.abs(scrollResponse.scrollY - rowY) >= 1) {
+            state.scrollCorrections.push({
+              requestedX: tileX,
+              requestedY: rowY,
+              actualX: scrollResponse.scrollX,
+              actualY: scrollResponse.scrollY,
+            });
+          }
+          tileX = scrollResponse.scrollX;
+          rowY = scrollResponse.scrollY;
+        }
+        const tileY = rowY;
+
+        // Paint settles after the scroll (content script uses rAF, add extra safety)
+        // while the rate limit wait runs
+        let settledAt = Date.now() + DEFAULTS.captureDelay;
+
+        // The stitcher rejects frames that came back blank or half-painted while
+        // recaptures are left; the position is then scrolled to again and re-shot
+        // after a longer wait. Past the limits the frame is drawn as it is.
+        for (let attempt = 0; ; attempt++) {
+          const dataUrl = await captureWithRetry(windowId, {
+            settledAt,
+            // Keep the in-page progress overlay out of the frame
+            beforeCapture: () => sendMessageToTab(tabId, { action: MSG.HIDE_OVERLAY }),
+          });
+          state.frameStats.frames++;
+
+          const allowRecapture = attempt < CAPTURE_LIMITS.FRAME_RECAPTURE_MAX &&
+            state.frameRecaptures.length < CAPTURE_LIMITS.FRAME_RECAPTURE_BUDGET;
+          if (allowRecapture) {
+            // The frame is checked against what earlier frames drew, and its verdict
+            // decides whether to shoot again, so those must be on the canvas first
+            await Promise.all(stitchQueue);
+          }
+
+          const stitchPromise = chrome.runtime.sendMessage({
+            action: MSG.STITCH_VIEWPORT,
+            dataUrl,
+            xOffset: tileX - clip.x,
+            yOffset: tileY - segmentStartY,
+            sourceX: frameOrigin.x,
+            sourceY: frameOrigin.y,
+            viewportWidth: metrics.viewportWidth,
+            viewportHeight: metrics.viewportHeight,
+            frameWidth: metrics.frameWidth,
+            frameHeight: metrics.frameHeight,
+            totalHeight: segmentHeight,
+            devicePixelRatio: strategy.effectiveDpr,
+            isFirst,
+            isLast,
+            isRowStart: column === 0,
+            verifyOverlap: plan.overlap > 0,
+            allowRecapture,
+            checkTorn: state.checkTornFrames !== false,
+          }).then((response) => {
+            if (response?.error) {
+              throw new Error(response.error);
+            }
+            if (!response?.ok) {
+              throw new Error('Offscreen stitch did not confirm success');
+            }
+            if (!response.rejected && response.overlapShift) {
+              state.overlapCorrections.push({ segment: segmentIndex, y: tileY, shift: response.overlapShift });
+            }
+            return response;
+          });
+
+          if (!allowRecapture) {
+            // The frame is drawn whatever it looks like: stitch it while the next
+            // position is scrolled to and shot
+            trackPromise(stitchQueue, stitchPromise);
+            if (stitchQueue.size >= CAPTURE_LIMITS.STITCH_CONCURRENCY) {
+              await Promise.race(stitchQueue);
+            }
+            break;
+          }
+
+          const response = await stitchPromise;
+          if (!response.rejected) {
+            break;
+          }
+
+          state.frameRecaptures.push({ x: tileX, y: tileY, reason: response.rejected });
+          throwIfCancelled(job);
+          const rescroll = await sendMessageToTab(tabId, {
+            action: MSG.SCROLL_TO,
+            scrollX: tileX,
+            scrollY: tileY,
+            isFirst,
+            isLast,
+            progress,
+          });
+          if (rescroll?.error || !rescroll?.ok) {
+            throw new Error(rescroll?.error || 'Failed to scroll page during capture');
+          }
+          settledAt = Date.now() + DEFAULTS.captureDelay + CAPTURE_LIMITS.FRAME_RECAPTURE_WAIT_MS * (attempt + 1);
+        }
+
+        state.tilesCaptured++;
+      }
+
+      segmentEndY = Math.max(
+        segmentEndY,
+        Math.min(plan.captureBottom, rowY + metrics.viewportHeight, segmentStartY + segmentHeight)
+      );
+      plan.cursor++;
+      rowsInSegment++;
+    }
 
-  handleRuntimeMessage(message)
-    .then(sendResponse)
-    .catch((err) => {
-      console.error('Service worker message handler error:', err);
-      sendResponse({ error: err.message || 'Unknown error' });
-    });
+    await Promise.all(stitchQueue);
+    state.frameStats.elapsedMs += Date.now() - loopStartedAt;
+    throwIfCancelled(job);
 
-  return true;
-});
+    const resultResponse = await chrome.runtime.sendMessage({
+      action: MSG.GET_RESULT_BLOB,
+      captureId,
+      index: segmentIndex,
+      yStart: segmentStartY,
+      yEnd: segmentEndY,
+      // The canvas may be taller than what was captured (headroom, shrinking page)
+      usedHeight: segmentEndY - segmentStartY,
+      isFirstSegment: segmentIndex === 0,
+      isLastSegment: plan.cursor >= plan.rows.length,
+    });
 
-chrome.commands.onCommand.addListener((command) => {
-  if (command === 'capture-full-page') {
-    handleCapture('full').catch((err) => console.error('Command error:', err));
-  } else if (command === 'capture-visible') {
-    handleCapture('visible').catch((err) => console.error('Command error:', err));
-  }
-});
+    if (resultResponse?.error) {
+      throw new Error(`Failed to store segment ${segmentIndex + 1}: ${resultResponse.error}`);
+    }
 
-async function handleRuntimeMessage(message) {
-  switch (message.action) {
-    case MSG.CAPTURE_FULL_PAGE:
-      return handleCapture('full');
-    case MSG.CAPTURE_VISIBLE:
-      return handleCapture('visible');
-    case MSG.GET_PENDING_CAPTURE:
-      return getPendingCapture();
-    case MSG.GET_CAPTURE_META:
-      return getCaptureMeta(message.captureId);
-    case MSG.GET_CAPTURE_SEGMENT:
-      return getCaptureSegment(message.captureId, message.index);
-    case MSG.DELETE_CAPTURE:
-      return deleteCapture(message.captureId);
-    case 'GET_PENDING_SCREENSHOT':
-      return {
-        error: 'Legacy screenshot payload has been replaced. Use capture metadata + segments.',
-      };
-    default:
-      return { error: 'Unknown action' };
+    state.nextSegmentY = segmentEndY;
+    state.segmentCount++;
+    await CaptureStore.putCaptureJob(state);
   }
 }
 
-async function handleCapture(mode) {
-  try {
-    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
-    if (!tab) {
-      return { error: 'No active tab found' };
-    }
+// --- DevTools protocol engine ---
 
-    const url = tab.url || '';
-    if (
-      url.startsWith('chrome://') ||
-      url.startsWith('chrome-extension://') ||
-      url.startsWith('https://chromewebstore.google.com') ||
-      url.startsWith('about:') ||
-      url.startsWith('edge://')
-    ) {
-      return { error: 'Cannot capture this page. Browser restricts screenshots on system pages.' };
+// Returns whether the debugger is attached to the session's tab. A worker restarted
+// mid-capture may find its own earlier session still attached.
+async function attachDebugger(session) {
+  const target = { tabId: session.tabId };
+  try {
+    try {
+      await chrome.debugger.attach(target, CDP_PROTOCOL_VERSION);
+    } catch (err) {
+      if (!String(err.message || '').includes('already attached')) throw err;
+      await chrome.debugger.detach(target);
+      await chrome.debugger.attach(target, CDP_PROTOCOL_VERSION);
     }
-
-    return mode === 'visible' ? captureVisible(tab) : captureFullPage(tab);
+    session.debuggerAttached = true;
+    return true;
   } catch (err) {
-    console.error('Capture error:', err);
-    return { error: err.message || 'Capture failed' };
+    console.warn('Debugger attach failed, falling back to the scroll engine:', err);
+    return false;
   }
 }
 
-async function captureVisible(tab) {
-  const dataUrl = await captureWithRetry();
-  const blob = await dataUrlToBlob(dataUrl);
-  const imageInfo = await getImageDimensions(blob, tab.width || 0, tab.height || 0);
-
-  const captureId = createCaptureId();
-  const now = Date.now();
+// Lays the page out at an emulated viewport for the rest of the debugger session;
+// detaching at the end of the capture restores the real one.
+async function emulateViewport(session, emulation) {
+  if (!session.debuggerAttached && !(await attachDebugger(session))) {
+    const err = new Error('Responsive capture needs debugger access. Choose the DevTools protocol engine in settings to allow it.');
+    err.debuggerUnavailable = true;
+    throw err;
+  }
 
-  await CaptureStore.putCaptureSegment({
-    captureId,
-    index: 0,
-    blob,
-    width: imageInfo.width,
-    height: imageInfo.height,
-    yStart: 0,
-    yEnd: imageInfo.height,
+  await chrome.debugger.sendCommand({ tabId: session.tabId }, 'Emulation.setDeviceMetricsOverride', {
+    width: emulation.width,
+    height: emulation.height,
+    deviceScaleFactor: 0, // Keep the screen's pixel ratio
+    mobile: emulation.mobile,
   });
+  await delay(CAPTURE_LIMITS.BREAKPOINT_SETTLE_MS);
+}
 
-  await CaptureStore.putCaptureMeta({
-    captureId,
-    createdAt: now,
-    updatedAt: now,
-    url: tab.url,
-    title: tab.title,
-    mode: 'visible',
-    segmentCount: 1,
-    width: imageInfo.width,
-    totalHeight: imageInfo.height,
-    devicePixelRatio: 1,
-    warnings: [],
+// The alternative capture loop: Page.captureScreenshot renders document rectangles
+// beyond the viewport, so nothing scrolls, sticky bars appear once and the
+// captureVisibleTab rate limit does not apply. Tiles are stitched and stored through
+// the same offscreen path, so segments match the scroll engine's.
+async function captureSegmentsWithDebugger(job, state) {
+  const { tabId, captureId, metrics, clip, frame, strategy, plan } = state;
+  const debuggee = { tabId };
+  state.frameStats = state.frameStats || { frames: 0, elapsedMs: 0 };
+
+  // Top of the page, with the sticky policy applied as if every bar were in view
+  const scrollResponse = await sendMessageToTab(tabId, {
+    action: MSG.SCROLL_TO,
+    scrollX: 0,
+    scrollY: 0,
+    isFirst: true,
+    expandedViewport: true,
   });
+  if (scrollResponse?.error || !scrollResponse?.ok) {
+    throw new Error(scrollResponse?.error || 'Failed to prepare page for capture');
+  }
 
-  await setPendingCapture(captureId);
-  await chrome.tabs.create({ url: chrome.runtime.getURL('viewer/viewer.html') });
+  if (state.followPageHeight && state.segmentCount === 0) {
+    const layout = await chrome.debugger.sendCommand(debuggee, 'Page.getLayoutMetrics');
+    const contentHeight = Math.ceil((layout.cssContentSize || layout.contentSize || {}).height || 0);
+    if (contentHeight > 0 && contentHeight !== plan.totalHeight) {
+      state.heightChanges.push({ atY: 0, from: plan.totalHeight, to: contentHeight });
+      replanRows(plan, contentHeight, metrics.viewportHeight);
+    }
+  }
 
-  return { success: true, captureId };
-}
+  // Screenshots come back at the tab's device pixel ratio times `scale`
+  const scale = strategy.effectiveDpr / (metrics.devicePixelRatio || 1);
+  const tileHeight = Math.max(1, Math.floor(CAPTURE_LIMITS.CDP_TILE_MAX_PX / strategy.effectiveDpr));
 
-async function captureFullPage(tab) {
-  const tabId = tab.id;
-  const captureId = createCaptureId();
+  while (state.nextSegmentY < plan.captureBottom) {
+    const segmentIndex = state.segmentCount;
+    const segmentStartY = state.nextSegmentY;
+    const segmentEndY = Math.min(plan.captureBottom, segmentStartY + strategy.maxSegmentHeightCss);
 
-  let didInjectContentScript = false;
+    const prepareResponse = await chrome.runtime.sendMessage({
+      action: MSG.PREPARE_CANVAS,
+      width: clip.width,
+      height: segmentEndY - segmentStartY,
+      devicePixelRatio: strategy.effectiveDpr,
+      frame,
+    });
 
-  try {
-    try {
-      await chrome.scripting.executeScript({
-        target: { tabId },
-        files: ['shared/constants.js', 'content/capture.js'],
+    if (prepareResponse?.error) {
+      throw new Error(`Canvas preparation failed: ${prepareResponse.error}`);
+    }
+    if (!prepareResponse?.ok) {
+      throw new Error('Canvas preparation did not confirm success');
+    }
+    // Only the tile loop counts towards the measured frame rate
+    const loopStartedAt = Date.now();
+
+    for (let tileY = segmentStartY; tileY < segmentEndY; tileY += tileHeight) {
+      throwIfCancelled(job);
+
+      const height = Math.min(tileHeight, segmentEndY - tileY);
+      const remainingTiles = Math.ceil((plan.captureBottom - tileY) / tileHeight);
+      const isFirst = state.tilesCaptured === 0;
+      const isLast = remainingTiles === 1;
+
+      await updateProgress(job, {
+        progress: (state.tilesCaptured + 1) / (state.tilesCaptured + remainingTiles),
+        current: state.tilesCaptured + 1,
+        total: state.tilesCaptured + remainingTiles,
+        isLast,
       });
-      didInjectContentScript = true;
-    } catch (err) {
-      console.error('Content script injection failed:', err);
-      const errorMsg = err.message || '';
 
-      if (errorMsg.includes('chrome://') || errorMsg.includes('chrome-extension://')) {
-        throw new Error('Cannot capture Chrome internal pages (chrome://, chrome-extension://)');
+      // Keep the in-page progress overlay out of the frame
+      await sendMessageToTab(tabId, { action: MSG.HIDE_OVERLAY });
+      const screenshot = await chrome.debugger.sendCommand(debuggee, 'Page.captureScreenshot', {
+        format: 'png',
+        captureBeyondViewport: true,
+        clip: { x: clip.x, y: tileY, width: clip.width, height, scale },
+      });
+      if (!screenshot?.data) {
+        throw new Error('DevTools protocol screenshot returned no image');
       }
-      if (errorMsg.includes('file://')) {
-        throw new Error('Cannot capture local files (file://). Try a web page instead.');
+      state.frameStats.frames++;
+
+      // The tile is its own frame: the whole image is the clip rectangle
+      const response = await chrome.runtime.sendMessage({
+        action: MSG.STITCH_VIEWPORT,
+        dataUrl: `data:image/png;base64,${screenshot.data}`,
+        xOffset: 0,
+        yOffset: tileY - segmentStartY,
+        viewportWidth: clip.width,
+        viewportHeight: height,
+        frameWidth: clip.width,
+        frameHeight: height,
+        totalHeight: segmentEndY - segmentStartY,
+        devicePixelRatio: strategy.effectiveDpr,
+        isFirst,
+        isLast,
+        isRowStart: true,
+        verifyOverlap: false,
+      });
+      if (response?.error) {
+        throw new Error(response.error);
       }
-      if (errorMsg.includes('webstore')) {
-        throw new Error('Cannot capture Chrome Web Store pages due to security restrictions');
+      if (!response?.ok) {
+        throw new Error('Offscreen stitch did not confirm success');
       }
 
-      throw new Error(`Script injection failed: ${errorMsg}`);
-    }
-
-    const metricsResponse = await sendMessageToTab(tabId, { action: MSG.START_CAPTURE });
-    if (metricsResponse.error) {
-      throw new Error(metricsResponse.error);
+      state.tilesCaptured++;
     }
 
-    const metrics = metricsResponse;
-    const positions = calculateScrollPositions(metrics.totalHeight, metrics.viewportHeight);
-    const strategy = computeCaptureStrategy(metrics);
-    const segments = buildCaptureSegments(
-      positions,
-      metrics.viewportHeight,
-      metrics.totalHeight,
-      strategy.viewportsPerSegment
-    );
+    state.frameStats.elapsedMs += Date.now() - loopStartedAt;
+    throwIfCancelled(job);
 
-    await ensureOffscreenDocument();
-
-    for (let segmentIndex = 0; segmentIndex < segments.length; segmentIndex++) {
-      const segment = segments[segmentIndex];
+    const resultResponse = await chrome.runtime.sendMessage({
+      action: MSG.GET_RESULT_BLOB,
+      captureId,
+      index: segmentIndex,
+      yStart: segmentStartY,
+      yEnd: segmentEndY,
+      usedHeight: segmentEndY - segmentStartY,
+      isFirstSegment: segmentIndex === 0,
+      isLastSegment: segmentEndY >= plan.captureBottom,
+    });
 
-      const prepareResponse = await chrome.runtime.sendMessage({
-        action: MSG.PREPARE_CANVAS,
-        width: metrics.viewportWidth,
-        height: segment.height,
-        devicePixelRatio: strategy.effectiveDpr,
-      });
+    if (resultResponse?.error) {
+      throw new Error(`Failed to store segment ${segmentIndex + 1}: ${resultResponse.error}`);
+    }
 
-      if (prepareResponse?.error) {
-        throw new Error(`Canvas preparation failed: ${prepareResponse.error}`);
-      }
-      if (!prepareResponse?.ok) {
-        throw new Error('Canvas preparation did not confirm success');
-      }
+    state.nextSegmentY = segmentEndY;
+    state.segmentCount++;
+    // Keep the row plan in step, in case a resumed job has to finish with the scroll engine
+    while (
+      plan.cursor < plan.rows.length &&
+      plan.rows[plan.cursor] + metrics.viewportHeight <= segmentEndY
+    ) {
+      plan.cursor++;
+    }
+    await CaptureStore.putCaptureJob(state);
+  }
 
-      const stitchQueue = new Set();
+  plan.cursor = plan.rows.length;
+}
 
-      for (let i = 0; i < segment.positions.length; i++) {
-        const globalIndex = segment.startPositionIndex + i;
-        const isFirst = globalIndex === 0;
-        const isLast = globalIndex === positions.length - 1;
-        const progress = (globalIndex + 1) / positions.length;
+// Writes the capture metadata, drops the job record and opens the viewer.
+// Incomplete captures (an interrupted job that could not resume) keep the
+// segments stored so far and say where the image stops.
+async function finalizeCapture(state, { complete, reason }) {
+  const { captureId, clip, padding, strategy, metrics, plan, segmentCount } = state;
+  const capturedHeight = complete ? plan.captureBottom - clip.y : state.nextSegmentY - clip.y;
+  // Only the last segment carries the bottom padding of element captures
+  const verticalPadding = padding * (complete ? 2 : 1);
+  const warnings = [...state.warnings];
+
+  if (segmentCount > 1) {
+    warnings.push(`Large page split into ${segmentCount} parts to preserve quality.`);
+  }
+  if (state.heightChanges.length > 0) {
+    const first = state.heightChanges[0];
+    const last = state.heightChanges[state.heightChanges.length - 1];
+    warnings.push(
+      `Page height changed during capture (${first.from}px → ${last.to}px); remaining parts were re-planned.`
+    );
+  }
+  if (state.overlapCorrections.length > 0) {
+    const count = state.overlapCorrections.length;
+    warnings.push(`Corrected ${count} misaligned ${count === 1 ? 'row' : 'rows'} while stitching.`);
+  }
+  if (state.frameRecaptures?.length > 0) {
+    const count = state.frameRecaptures.length;
+    warnings.push(`Recaptured ${count} ${count === 1 ? 'frame' : 'frames'} that came back blank or half-painted.`);
+  }
+  if (!complete) {
+    warnings.push(`Capture was interrupted (${reason}); the image stops after ${capturedHeight}px.`);
+  }
 
-        await updateProgress(progress, isLast);
+  const now = Date.now();
+  await CaptureStore.putCaptureMeta({
+    captureId,
+    createdAt: state.createdAt || now,
+    updatedAt: now,
+    url: state.url,
+    title: state.title,
+    mode: state.mode,
+    engine: state.engine || 'scroll',
+    emulatedWidth: state.emulation ? state.emulation.width : null,
+    segmentCount,
+    width: Math.round((clip.width + padding * 2) * strategy.effectiveDpr),
+    totalHeight: Math.round((capturedHeight + verticalPadding) * strategy.effectiveDpr),
+    cssTotalHeight: capturedHeight + verticalPadding,
+    viewportHeight: metrics.viewportHeight,
+    clip: state.mode === 'full' ? null : clip,
+    padding,
+    scrollContainer: metrics.scrollContainer || null,
+    hiddenByRules: metrics.hiddenByRules || 0,
+    devicePixelRatio: strategy.effectiveDpr,
+    originalDevicePixelRatio: metrics.devicePixelRatio,
+    // window.devicePixelRatio includes page zoom; without it, the screen's own ratio
+    screenDevicePixelRatio: roundTo(metrics.devicePixelRatio / (state.zoomFactor || 1), 3),
+    zoomFactor: state.zoomFactor || 1,
+    outputScale: strategy.outputScale,
+    heightChanges: state.heightChanges,
+    scrollCorrections: state.scrollCorrections,
+    overlapCorrections: state.overlapCorrections,
+    frameRecaptures: state.frameRecaptures || [],
+    framesPerSecond: measuredFrameRate(state.frameStats),
+    captureIntervalMs: state.engine === 'cdp' ? null : captureRate.intervalMs,
+    resumed: Boolean(state.resumed),
+    partial: !complete,
+    warnings,
+  });
+  await CaptureStore.deleteCaptureJob(captureId);
 
-        const scrollResponse = await sendMessageToTab(tabId, {
-          action: MSG.SCROLL_TO,
-          scrollY: segment.positions[i],
-          isFirst,
-          isLast,
-          progress,
-        });
+  if (state.setId) {
+    await CaptureStore.addCaptureToSet(state.setId, captureId);
+  }
+  if (state.openViewer !== false) {
+    await openViewer(captureId, state.windowId);
+  }
 
-        if (scrollResponse?.error || !scrollResponse?.ok) {
-          throw new Error(scrollResponse?.error || 'Failed to scroll page during capture');
-        }
+  return { success: true, captureId, segmentCount };
+}
 
-        // Wait for paint to settle after scroll (content script uses rAF, add extra safety)
-        await delay(DEFAULTS.captureDelay);
+// --- Resuming interrupted captures ---
 
-        const dataUrl = await captureWithRetry();
+// Job records only outlive their capture when the service worker was terminated
+// mid-capture. Each is resumed in the same tab, or finalized with what was stored.
+async function resumeInterruptedCaptures() {
+  try {
+    const jobs = await CaptureStore.listCaptureJobs();
+    if (jobs.length === 0 && !activeCapture && captureQueue.length === 0) {
+      chrome.alarms.clear(CAPTURE_WATCHDOG_ALARM);
+    }
 
-        const stitchPromise = chrome.runtime.sendMessage({
-          action: MSG.STITCH_VIEWPORT,
-          dataUrl,
-          yOffset: segment.positions[i] - segment.startY,
-          viewportHeight: metrics.viewportHeight,
-          totalHeight: segment.height,
-          devicePixelRatio: strategy.effectiveDpr,
-          isFirst,
-          isLast,
-        }).then((response) => {
-          if (response?.error) {
-            throw new Error(response.error);
-          }
-          if (!response?.ok) {
-            throw new Error('Offscreen stitch did not confirm success');
-          }
-          return response;
-        });
+    for (const state of jobs) {
+      const known = activeCapture?.captureId === state.captureId ||
+        captureQueue.some((entry) => entry.captureId === state.captureId);
+      if (known) continue;
 
-        trackPromise(stitchQueue, stitchPromise);
-        if (stitchQueue.size >= CAPTURE_LIMITS.STITCH_CONCURRENCY) {
-          await Promise.race(stitchQueue);
-        }
-      }
+      enqueueCapture({
+        tabId: state.tabId,
+        windowId: state.windowId,
+        captureId: state.captureId,
+        run: () => resumeCapture(state),
+      });
+    }
+  } catch (err) {
+    console.error('Failed to resume interrupted captures:', err);
+  }
+}
 
-      await Promise.all(stitchQueue);
+async function resumeCapture(state) {
+  const job = startCaptureJob(state.captureId, state.tabId, state.windowId);
+  const session = { tabId: state.tabId, injected: false, framesFrozen: false, debuggerAttached: false };
 
-      const resultResponse = await chrome.runtime.sendMessage({
-        action: MSG.GET_RESULT_BLOB,
-        captureId,
-        index: segment.index,
-        yStart: segment.startY,
-        yEnd: segment.endY,
-      });
+  try {
+    const tab = await chrome.tabs.get(state.tabId).catch(() => null);
+    if (!tab || tab.url !== state.url) {
+      return await finalizeInterruptedCapture(state, 'the tab was closed or navigated away');
+    }
+    // The tab may have been dragged to another window or switched away from meanwhile
+    state.windowId = tab.windowId;
+    await bringQueuedTabForward(tab.id);
 
-      if (resultResponse?.error) {
-        throw new Error(`Failed to store segment ${segment.index + 1}: ${resultResponse.error}`);
-      }
+    const settings = await loadCaptureSettings();
+    if (state.emulation) {
+      await emulateViewport(session, state.emulation);
+    }
+    const metrics = await beginPageSession(session, tab.url, settings, state.scrollContainer, state.mode);
+    if (
+      !metrics ||
+      metrics.viewportWidth !== state.metrics.viewportWidth ||
+      metrics.viewportHeight !== state.metrics.viewportHeight ||
+      Boolean(metrics.scrollContainer) !== Boolean(state.metrics.scrollContainer)
+    ) {
+      return await finalizeInterruptedCapture(state, 'the page layout changed');
     }
 
-    const warnings = [];
-    if (segments.length > 1) {
-      warnings.push(`Large page split into ${segments.length} parts to preserve quality.`);
+    session.framesFrozen = await setAnimationFramesFrozen(state.tabId, true);
+    state.resumed = true;
+    return await runCaptureJob(job, state, session);
+  } catch (err) {
+    if (job.cancelled) {
+      await CaptureStore.deleteCapture(state.captureId).catch(() => {});
+      return { cancelled: true };
     }
+    console.error('Resumed capture failed:', err);
+    return finalizeInterruptedCapture(state, err.message || 'capture failed');
+  } finally {
+    await endCaptureJob(job, session);
+  }
+}
 
-    const now = Date.now();
-    await CaptureStore.putCaptureMeta({
-      captureId,
-      createdAt: now,
-      updatedAt: now,
-      url: tab.url,
-      title: tab.title,
-      mode: 'full',
-      segmentCount: segments.length,
-      width: Math.round(metrics.viewportWidth * strategy.effectiveDpr),
-      totalHeight: Math.round(metrics.totalHeight * strategy.effectiveDpr),
-      cssTotalHeight: metrics.totalHeight,
-      viewportHeight: metrics.viewportHeight,
-      devicePixelRatio: strategy.effectiveDpr,
-      originalDevicePixelRatio: metrics.devicePixelRatio,
-      warnings,
+async function finalizeInterruptedCapture(state, reason) {
+  if (state.segmentCount === 0) {
+    await CaptureStore.deleteCapture(state.captureId);
+    return { error: `Capture was interrupted: ${reason}` };
+  }
+  return finalizeCapture(state, { complete: false, reason });
+}
+
+// Returns whether the page's animation frames are now in the requested state.
+// Pages with a strict CSP still allow this; only injection failures are skipped.
+async function setAnimationFramesFrozen(tabId, frozen) {
+  try {
+    await chrome.scripting.executeScript({
+      target: { tabId },
+      world: 'MAIN',
+      func: setPageAnimationFramesFrozen,
+      args: [frozen],
     });
+    return true;
+  } catch (err) {
+    console.warn('Could not toggle requestAnimationFrame freeze:', err);
+    return false;
+  }
+}
 
-    await setPendingCapture(captureId);
-    await chrome.tabs.create({ url: chrome.runtime.getURL('viewer/viewer.html') });
+// Runs in the page's main world. While frozen, requestAnimationFrame callbacks are
+// held instead of run, so canvas loops and JS-driven carousels stand still; thawing
+// restores the real functions and schedules everything that was held.
+function setPageAnimationFramesFrozen(frozen) {
+  const state = window.__fullsnapFrameFreeze;
+
+  if (frozen) {
+    if (state) return;
+
+    const held = new Map();
+    // Well above ids the browser hands out, so cancelling a real frame still works
+    let nextId = 0x40000000;
+    const originalRequest = window.requestAnimationFrame;
+    const originalCancel = window.cancelAnimationFrame;
+
+    window.requestAnimationFrame = (callback) => {
+      const id = nextId++;
+      held.set(id, callback);
+      return id;
+    };
+    window.cancelAnimationFrame = (id) => {
+      if (!held.delete(id)) {
+        originalCancel.call(window, id);
+      }
+    };
+    window.__fullsnapFrameFreeze = { held, originalRequest, originalCancel };
+    return;
+  }
 
-    return { success: true, captureId, segmentCount: segments.length };
-  } catch (err) {
-    console.error('Full-page capture failed:', err);
-    await CaptureStore.deleteCapture(captureId).catch(() => {});
-    return { error: err.message || 'Capture failed' };
-  } finally {
-    chrome.action.setBadgeText({ text: '' });
+  if (!state) return;
 
-    if (didInjectContentScript) {
-      await sendMessageToTab(tabId, { action: MSG.CLEANUP }).catch(() => {});
-    }
+  window.requestAnimationFrame = state.originalRequest;
+  window.cancelAnimationFrame = state.originalCancel;
+  delete window.__fullsnapFrameFreeze;
+
+  for (const callback of state.held.values()) {
+    state.originalRequest.call(window, callback);
+  }
+}
+
+async function loadCaptureSettings() {
+  try {
+    const stored = await chrome.storage.local.get(STORAGE_KEYS.SETTINGS);
+    return { ...DEFAULTS, ...(stored[STORAGE_KEYS.SETTINGS] || {}) };
+  } catch (_) {
+    return { ...DEFAULTS };
   }
 }
 
@@ -312,32 +2162,77 @@ async function ensureOffscreenDocument() {
   }
 }
 
-let lastCaptureTime = 0;
+// captureVisibleTab is rate-limited per extension, not per window, so one controller
+// paces every capture. It starts just above the documented limit (2 calls per
+// second) and never goes below it. It backs off when Chrome still answers
+// MAX_CAPTURE_VISIBLE_TAB_CALLS_PER_SECOND, and tries a shorter interval again
+// after each run of accepted calls, never returning to one that was rejected. What it learns lasts as long as the
+// service worker.
+const captureRate = {
+  intervalMs: CAPTURE_LIMITS.CAPTURE_INTERVAL_START_MS,
+  rejectedMs: 0, // Longest gap between calls that Chrome has rejected
+  streak: 0, // Calls accepted since the interval last changed
+  lastCallAt: 0,
+};
+
+function recordCaptureAccepted() {
+  captureRate.streak++;
+  if (captureRate.streak < CAPTURE_LIMITS.CAPTURE_RATE_STREAK) return;
+
+  captureRate.streak = 0;
+  const floor = Math.max(CAPTURE_LIMITS.CAPTURE_INTERVAL_MIN_MS, Math.ceil(captureRate.rejectedMs * 1.1));
+  captureRate.intervalMs = Math.max(floor, Math.round(captureRate.intervalMs * 0.9));
+}
 
-async function captureWithRetry() {
-  // Throttle: ensure minimum gap between captureVisibleTab calls
-  const now = Date.now();
-  const elapsed = now - lastCaptureTime;
-  const throttle = DEFAULTS.captureThrottleMs || 550;
-  if (elapsed < throttle) {
-    await delay(throttle - elapsed);
+function recordCaptureRejected(gapMs) {
+  captureRate.streak = 0;
+  // A long gap says more about calls made elsewhere than about the limit
+  if (gapMs < CAPTURE_LIMITS.CAPTURE_INTERVAL_MAX_MS) {
+    captureRate.rejectedMs = Math.max(captureRate.rejectedMs, gapMs);
   }
+  captureRate.intervalMs = Math.min(
+    CAPTURE_LIMITS.CAPTURE_INTERVAL_MAX_MS,
+    Math.round(Math.max(captureRate.intervalMs, captureRate.rejectedMs) * 1.25)
+  );
+}
+
+// Calls captureVisibleTab as soon as both the rate limit and the page allow it.
+// `settledAt` is when the page has painted the position it was scrolled to; the
+// settle time and the rate-limit wait run side by side instead of one after the
+// other, as does `beforeCapture`.
+async function captureWithRetry(windowId, options = {}) {
+  const waitForSlot = () => {
+    const readyAt = Math.max(captureRate.lastCallAt + captureRate.intervalMs, options.settledAt || 0);
+    return delay(Math.max(0, readyAt - Date.now()));
+  };
+
+  await Promise.all([waitForSlot(), options.beforeCapture ? options.beforeCapture() : null]);
 
   for (let attempt = 0; attempt < DEFAULTS.maxRetries; attempt++) {
+    const calledAt = Date.now();
+    const gap = calledAt - captureRate.lastCallAt;
+    captureRate.lastCallAt = calledAt;
     try {
-      lastCaptureTime = Date.now();
-      return await chrome.tabs.captureVisibleTab(null, { format: 'png' });
+      const dataUrl = await chrome.tabs.captureVisibleTab(windowId, { format: 'png' });
+      recordCaptureAccepted();
+      return dataUrl;
     } catch (err) {
       const errMsg = err.message || '';
       const isRateLimit = errMsg.includes('MAX_CAPTURE_VISIBLE_TAB_CALLS_PER_SECOND');
+      if (isRateLimit) {
+        recordCaptureRejected(gap);
+      }
 
       if (attempt < DEFAULTS.maxRetries - 1) {
-        // Exponential backoff: 600ms, 1200ms, 2400ms, etc. (longer for rate limits)
-        const backoff = isRateLimit
-          ? 600 * Math.pow(2, attempt)
-          : 200 * (attempt + 1);
-        console.warn(`captureVisibleTab attempt ${attempt + 1} failed (${isRateLimit ? 'rate limit' : 'error'}), retrying in ${backoff}ms...`);
-        await delay(backoff);
+        console.warn(
+          `captureVisibleTab attempt ${attempt + 1} failed (${isRateLimit ? 'rate limit' : 'error'}), ` +
+          `retrying at a ${captureRate.intervalMs}ms interval...`
+        );
+        if (isRateLimit) {
+          await waitForSlot();
+        } else {
+          await delay(200 * (attempt + 1));
+        }
       } else {
         console.error('Tab capture failed after retries:', err);
         throw err;
@@ -348,33 +2243,92 @@ async function captureWithRetry() {
   throw new Error('Capture failed after retries');
 }
 
-function calculateScrollPositions(totalHeight, viewportHeight) {
-  if (totalHeight <= viewportHeight) {
-    return [0];
+// The capture clip is the document rectangle (CSS px) that ends up in the output.
+// Full-page captures use the whole page; region captures use the user's selection.
+function fullPageClip(metrics) {
+  return {
+    x: 0,
+    y: 0,
+    width: metrics.totalWidth,
+    height: metrics.totalHeight,
+  };
+}
+
+function normalizeClip(rect, metrics) {
+  const x = clamp(Math.round(rect.x || 0), 0, metrics.totalWidth - 1);
+  const y = clamp(Math.round(rect.y || 0), 0, metrics.totalHeight - 1);
+  const right = clamp(Math.round((rect.x || 0) + (rect.width || 0)), x + 1, metrics.totalWidth);
+  const bottom = clamp(Math.round((rect.y || 0) + (rect.height || 0)), y + 1, metrics.totalHeight);
+
+  return {
+    x,
+    y,
+    width: right - x,
+    height: bottom - y,
+  };
+}
+
+// Asks the content script for a user selection (region drag or element pick).
+// Returns null when the user cancelled.
+async function requestSelection(tabId, action, extra = {}) {
+  const selection = await sendMessageToTab(tabId, { action, ...extra }, CAPTURE_LIMITS.SELECTION_TIMEOUT_MS);
+  if (selection.error) {
+    throw new Error(selection.error);
+  }
+
+  return selection.cancelled || !selection.rect ? null : selection;
+}
+
+// Element captures get a transparent margin and, optionally, transparent corners
+// outside the element's border-radius. Applied by the offscreen document per segment.
+function buildElementFrame(selection, settings) {
+  const padding = clamp(Math.round(Number(settings.elementPadding) || 0), 0, 128);
+  const radii = settings.elementTransparentCorners && Array.isArray(selection.radii)
+    ? selection.radii.map((r) => Math.max(0, Number(r) || 0))
+    : [0, 0, 0, 0];
+
+  if (padding === 0 && radii.every((r) => r === 0)) {
+    return null;
+  }
+
+  return { padding, radii };
+}
+
+// Scroll positions along one axis that cover [captureStart, captureEnd).
+// Used for rows (y) and, on wide pages, columns (x).
+function calculateScrollPositions(captureStart, captureEnd, viewportSize, totalSize, overlap = 0) {
+  // The browser cannot scroll past the last full viewport, so positions are clamped.
+  // A clamped position still covers the requested band: the stitcher offsets it.
+  const maxScroll = Math.max(0, totalSize - viewportSize);
+  const step = Math.max(1, viewportSize - overlap);
+
+  if (captureEnd - captureStart <= viewportSize) {
+    return [Math.min(captureStart, maxScroll)];
   }
 
   const positions = [];
-  let y = 0;
+  let offset = captureStart;
 
-  while (y + viewportHeight <= totalHeight) {
-    positions.push(y);
-    y += viewportHeight;
+  while (offset + viewportSize <= captureEnd) {
+    positions.push(offset);
+    offset += step;
   }
 
-  if (y < totalHeight) {
-    positions.push(totalHeight - viewportHeight);
+  if (offset + overlap < captureEnd) {
+    positions.push(captureEnd - viewportSize);
   }
 
-  return [...new Set(positions)].sort((a, b) => a - b);
+  const clamped = positions.map((position) => Math.min(position, maxScroll));
+  return [...new Set(clamped)].sort((a, b) => a - b);
 }
 
-function computeCaptureStrategy(metrics) {
-  const dpr = metrics.devicePixelRatio || 1;
-  const viewportWidth = Math.max(1, metrics.viewportWidth || 1);
+function computeCaptureStrategy(metrics, captureWidth, settings = DEFAULTS) {
+  const viewportWidth = Math.max(1, captureWidth || metrics.viewportWidth || 1);
   const viewportHeight = Math.max(1, metrics.viewportHeight || 1);
+  const dpr = resolveOutputDpr(settings, metrics.devicePixelRatio || 1, viewportWidth);
 
   const maxDprByWidth = CAPTURE_LIMITS.MAX_CANVAS_DIMENSION / viewportWidth;
-  const effectiveDpr = roundTo(Math.max(0.5, Math.min(dpr, maxDprByWidth)), 3);
+  const effectiveDpr = roundTo(Math.max(CAPTURE_LIMITS.MIN_OUTPUT_SCALE, Math.min(dpr, maxDprByWidth)), 3);
 
   if (!Number.isFinite(effectiveDpr) || effectiveDpr <= 0) {
     throw new Error('Unable to compute safe capture scale');
@@ -398,30 +2352,53 @@ function computeCaptureStrategy(metrics) {
 
   return {
     effectiveDpr,
+    outputScale: settings.outputScale || 'native',
     maxSegmentHeightCss,
     viewportsPerSegment,
   };
 }
 
-function buildCaptureSegments(positions, viewportHeight, totalHeight, viewportsPerSegment) {
-  const segments = [];
-
-  for (let i = 0; i < positions.length; i += viewportsPerSegment) {
-    const slice = positions.slice(i, i + viewportsPerSegment);
-    const startY = slice[0];
-    const endY = Math.min(totalHeight, slice[slice.length - 1] + viewportHeight);
+// Vertical capture plan: the scroll rows still to capture plus the page extent
+// they were derived from. `cursor` points at the next row to capture.
+function createRowPlan(clip, metrics) {
+  const captureBottom = clip.y + clip.height;
+  // Consecutive rows overlap slightly so the stitcher can verify their alignment.
+  // Very short viewports skip it; the overlap would cost too many extra frames.
+  const overlap = metrics.viewportHeight >= CAPTURE_LIMITS.VERIFY_OVERLAP_PX * 8
+    ? CAPTURE_LIMITS.VERIFY_OVERLAP_PX
+    : 0;
+  return {
+    rows: calculateScrollPositions(clip.y, captureBottom, metrics.viewportHeight, metrics.totalHeight, overlap),
+    cursor: 0,
+    overlap,
+    totalHeight: metrics.totalHeight,
+    captureBottom,
+  };
+}
 
-    segments.push({
-      index: segments.length,
-      startPositionIndex: i,
-      positions: slice,
-      startY,
-      endY,
-      height: endY - startY,
-    });
-  }
+// Re-derives the rows after the current one from a new page height.
+// Only used for full-page captures, where the capture extends to the page bottom.
+function replanRows(plan, totalHeight, viewportHeight) {
+  const maxScrollY = Math.max(0, totalHeight - viewportHeight);
+  const currentRow = Math.min(plan.rows[plan.cursor], maxScrollY);
+  const nextStart = currentRow + viewportHeight - plan.overlap;
+
+  const rest = currentRow + viewportHeight < totalHeight
+    ? calculateScrollPositions(nextStart, totalHeight, viewportHeight, totalHeight, plan.overlap)
+      .filter((y) => y > currentRow)
+    : [];
+
+  plan.rows = plan.rows.slice(0, plan.cursor).concat(currentRow, rest);
+  plan.totalHeight = totalHeight;
+  plan.captureBottom = totalHeight;
+}
 
-  return segments;
+// Canvas height (CSS px) for a segment starting at the plan cursor: the rows that
+// fit the strategy's per-segment budget, plus optional growth headroom.
+function planSegmentHeight(plan, startY, viewportHeight, strategy, headroom) {
+  const rows = plan.rows.slice(plan.cursor, plan.cursor + strategy.viewportsPerSegment);
+  const plannedEnd = Math.min(plan.captureBottom, rows[rows.length - 1] + viewportHeight);
+  return Math.min(strategy.maxSegmentHeightCss, plannedEnd - startY + headroom);
 }
 
 function trackPromise(set, promise) {
@@ -430,23 +2407,91 @@ function trackPromise(set, promise) {
   promise.then(clear).catch(clear);
 }
 
-async function updateProgress(progress, isLast) {
+// Cancels the running capture and drops queued ones for a tab or a window
+function cancelCapture({ tabId, windowId }) {
+  const matches = (entry) =>
+    tabId !== undefined ? entry.tabId === tabId : windowId === undefined || entry.windowId === windowId;
+
+  let stoppedCountdown = false;
+  for (const countdown of countdowns.values()) {
+    if (tabId !== undefined ? countdown.tabIds.has(tabId) : matches(countdown)) {
+      countdown.cancelled = true;
+      stoppedCountdown = true;
+    }
+  }
+
+  let stoppedSelection = false;
+  for (const job of selectingCaptures) {
+    if (matches(job) && job.cancelSelection) {
+      job.cancelled = true;
+      job.cancelSelection();
+      stoppedSelection = true;
+    }
+  }
+
+  const removed = removeQueuedCaptures(matches);
+  if (activeCapture && matches(activeCapture)) {
+    activeCapture.cancelled = true;
+    return { ok: true };
+  }
+
+  return removed > 0 || stoppedCountdown || stoppedSelection
+    ? { ok: true }
+    : { ok: false, error: 'No capture in progress' };
+}
+
+// Status for a popup: the capture running in its window, and how many wait there
+function getCaptureStatus(windowId) {
+  const inWindow = (entry) => windowId === undefined || entry.windowId === windowId;
+  const active = Boolean(activeCapture && inWindow(activeCapture));
+
+  return {
+    active,
+    progress: active ? activeCapture.progress : 0,
+    queued: captureQueue.filter(inWindow).length,
+    countingDown: [...countdowns.values()].some(inWindow),
+    selecting: [...selectingCaptures].some(inWindow),
+    // Visible-area captures run through the queue without an active job record
+    busyElsewhere: captureQueueRunning && !active,
+  };
+}
+
+function throwIfCancelled(job) {
+  if (job.cancelled) {
+    throw new Error('Capture cancelled');
+  }
+}
+
+// Reports progress to the badge, the popup and the in-page overlay. `current` and
+// `total` count frames; the ETA extrapolates the average time per frame so far.
+async function updateProgress(job, { progress, current, total, isLast }) {
   const percent = Math.round(progress * 100);
+  const now = Date.now();
+  job.progress = progress;
+
+  if (current === 1 || !job.framesStartedAt) {
+    job.framesStartedAt = now;
+  }
+  const etaMs = current > 1
+    ? ((now - job.framesStartedAt) / (current - 1)) * (total - current + 1)
+    : null;
 
-  chrome.action.setBadgeText({ text: `${percent}%` });
-  chrome.action.setBadgeBackgroundColor({ color: '#4A90D9' });
+  const update = { action: MSG.CAPTURE_PROGRESS, windowId: job.windowId, progress, current, total, etaMs };
+
+  // The overlay in the page; no need to wait for it
+  sendMessageToTab(job.tabId, update).catch(() => {});
+
+  chrome.action.setBadgeText({ tabId: job.tabId, text: `${percent}%` });
+  chrome.action.setBadgeBackgroundColor({ tabId: job.tabId, color: '#4A90D9' });
 
   try {
-    await chrome.runtime.sendMessage({
-      action: MSG.CAPTURE_PROGRESS,
-      progress,
-    });
+    await chrome.runtime.sendMessage(update);
   } catch (_) {
     // Popup may be closed.
   }
 
   if (isLast) {
-    chrome.action.setBadgeText({ text: '' });
+    chrome.action.setBadgeText({ tabId: job.tabId, text: '' });
   }
 }
 
@@ -468,6 +2513,19 @@ function sendMessageToTab(tabId, message, timeoutMs = 10000) {
   return Promise.race([messagePromise, timeoutPromise]);
 }
 
+// Opens the viewer for one capture in the window it was taken in. The id travels
+// in the URL, so a queued capture finishing meanwhile cannot swap it out.
+async function openViewer(captureId, windowId) {
+  await setPendingCapture(captureId);
+  const url = chrome.runtime.getURL(`viewer/viewer.html?capture=${encodeURIComponent(captureId)}`);
+  await chrome.tabs.create(windowId ? { url, windowId } : { url });
+}
+
+async function openSetViewer(setId, windowId) {
+  const url = chrome.runtime.getURL(`viewer/set.html?set=${encodeURIComponent(setId)}`);
+  await chrome.tabs.create(windowId ? { url, windowId } : { url });
+}
+
 async function setPendingCapture(captureId) {
   pendingCaptureId = captureId || null;
   await CaptureStore.setPendingCaptureId(pendingCaptureId);
@@ -612,6 +2670,16 @@ function createCaptureId() {
   return `capture-${Date.now()}-${Math.random().toString(36).slice(2, 10)}`;
 }
 
+function clamp(value, min, max) {
+  return Math.min(max, Math.max(min, value));
+}
+
+// Screenshots per second over the time spent in the capture loops
+function measuredFrameRate(stats) {
+  if (!stats || stats.frames === 0 || stats.elapsedMs <= 0) return null;
+  return roundTo(stats.frames / (stats.elapsedMs / 1000), 2);
+}
+
 function roundTo(value, decimals) {
   const factor = Math.pow(10, decimals);
   return Math.round(value * factor) / factor;
@@ -0,0 +1,310 @@
+// FullSnap Batch Capture - captures a pasted list of URLs into one capture set and
+// reports how each URL went, and manages scheduled captures of single URLs.
+
+document.addEventListener('DOMContentLoaded', async () => {
+  const form = document.getElementById('batch-form');
+  const urlsInput = document.getElementById('batch-urls');
+  const nameInput = document.getElementById('batch-name');
+  const settleInput = document.getElementById('batch-settle');
+  const btnStart = document.getElementById('btn-start');
+  const btnCancel = document.getElementById('btn-cancel');
+  const formError = document.getElementById('batch-error');
+  const reportCard = document.getElementById('report-card');
+  const reportSummary = document.getElementById('report-summary');
+  const reportBody = document.getElementById('report-body');
+  const btnOpenSet = document.getElementById('btn-open-set');
+  const schedulesTable = document.getElementById('schedules-table');
+  const schedulesBody = document.getElementById('schedules-body');
+  const schedulesEmpty = document.getElementById('schedules-empty');
+  const scheduleForm = document.getElementById('schedule-form');
+  const scheduleName = document.getElementById('schedule-name');
+  const scheduleUrl = document.getElementById('schedule-url');
+  const scheduleFrequency = document.getElementById('schedule-frequency');
+  const scheduleTime = document.getElementById('schedule-time');
+  const scheduleMinutes = document.getElementById('schedule-minutes');
+  const scheduleRetention = document.getElementById('schedule-retention');
+  const scheduleError = document.getElementById('schedule-error');
+
+  const STATUS_LABELS = {
+    pending: 'Waiting',
+    running: 'Capturing…',
+    ok: 'Captured',
+    error: 'Failed',
+    cancelled: 'Cancelled',
+    queued: 'Queued',
+  };
+
+  const stored = await chrome.storage.local.get(STORAGE_KEYS.SETTINGS);
+  const settings = { ...DEFAULTS, ...(stored[STORAGE_KEYS.SETTINGS] || {}) };
+  applyTheme(settings.theme);
+  settleInput.value = String((settings.batchSettleMs ?? DEFAULTS.batchSettleMs) / 1000);
+
+  // ?set=<id> reopens the report of an earlier batch
+  let setId = new URLSearchParams(location.search).get('set');
+  if (setId) {
+    const response = await chrome.runtime.sendMessage({ action: MSG.GET_CAPTURE_SET, setId }).catch(() => null);
+    if (response?.set?.report) {
+      renderReport(response.set.report);
+    }
+  }
+
+  // Progress can arrive before the CAPTURE_URL_LIST response names the set
+  let startingBatch = false;
+  const earlyReports = new Map();
+
+  chrome.runtime.onMessage.addListener((message) => {
+    if (message.action !== MSG.BATCH_PROGRESS) return;
+    if (message.setId === setId) {
+      renderReport(message.report);
+    } else if (startingBatch) {
+      earlyReports.set(message.setId, message.report);
+    }
+  });
+
+  // The service worker records each run on the schedule and re-plans its alarm
+  chrome.storage.onChanged.addListener((changes, area) => {
+    if (area === 'local' && changes[STORAGE_KEYS.SCHEDULES]) {
+      renderSchedules();
+    }
+  });
+  scheduleMinutes.min = String(CAPTURE_LIMITS.SCHEDULE_MIN_INTERVAL_MIN);
+  updateFrequencyFields();
+  renderSchedules();
+
+  form.addEventListener('submit', async (e) => {
+    e.preventDefault();
+
+    const urls = urlsInput.value.split('\n').map((line) => line.trim()).filter(Boolean);
+    if (urls.length === 0) {
+      urlsInput.focus();
+      return;
+    }
+
+    const settleMs = Math.round(Math.max(0, parseFloat(settleInput.value) || 0) * 1000);
+    settings.batchSettleMs = settleMs;
+    await saveSettings();
+
+    btnStart.disabled = true;
+    formError.classList.add('hidden');
+    startingBatch = true;
+    earlyReports.clear();
+    const response = await chrome.runtime.sendMessage({
+      action: MSG.CAPTURE_URL_LIST,
+      urls,
+      settleMs,
+      name: nameInput.value.trim(),
+    }).catch((err) => ({ error: err.message }));
+    startingBatch = false;
+
+    if (response?.error) {
+      btnStart.disabled = false;
+      formError.textContent = response.error;
+      formError.classList.remove('hidden');
+      return;
+    }
+
+    setId = response.setId;
+    history.replaceState(null, '', `?set=${encodeURIComponent(setId)}`);
+    renderReport(earlyReports.get(setId) || urls.map((url) => ({ url, status: 'pending' })));
+    earlyReports.clear();
+  });
+
+  btnCancel.addEventListener('click', async () => {
+    btnCancel.disabled = true;
+    await chrome.runtime.sendMessage({ action: MSG.CANCEL_BATCH, setId }).catch(() => {});
+  });
+
+  btnOpenSet.addEventListener('click', () => {
+    chrome.tabs.create({ url: chrome.runtime.getURL(`viewer/set.html?set=${encodeURIComponent(setId)}`) });
+  });
+
+  function renderReport(report) {
+    reportCard.classList.remove('hidden');
+    reportBody.textContent = '';
+
+    report.forEach((entry, index) => {
+      const row = document.createElement('tr');
+
+      const number = document.createElement('td');
+      number.textContent = String(index + 1);
+
+      const url = document.createElement('td');
+      url.className = 'url';
+      if (entry.captureId) {
+        const link = document.createElement('a');
+        link.href = chrome.runtime.getURL(`viewer/viewer.html?capture=${encodeURIComponent(entry.captureId)}`);
+        link.target = '_blank';
+        link.textContent = entry.url;
+        link.title = entry.title || entry.url;
+        url.appendChild(link);
+      } else {
+        url.textContent = entry.url;
+      }
+
+      const status = document.createElement('td');
+      status.className = `status-${entry.status}`;
+      status.textContent = entry.error
+        ? `${STATUS_LABELS[entry.status]}: ${entry.error}`
+        : STATUS_LABELS[entry.status] || entry.status;
+
+      const time = document.createElement('td');
+      time.textContent = entry.durationMs ? `${(entry.durationMs / 1000).toFixed(1)} s` : '';
+
+      row.append(number, url, status, time);
+      reportBody.appendChild(row);
+    });
+
+    const count = (status) => report.filter((entry) => entry.status === status).length;
+    const finished = report.length - count('pending') - count('running');
+    const running = finished < report.length;
+
+    const parts = [`${finished} of ${report.length}`, `${count('ok')} captured`];
+    if (count('error')) parts.push(`${count('error')} failed`);
+    if (count('cancelled')) parts.push(`${count('cancelled')} cancelled`);
+    reportSummary.textContent = parts.join(' · ');
+
+    btnStart.disabled = running;
+    btnCancel.classList.toggle('hidden', !running);
+    btnCancel.disabled = false;
+    btnOpenSet.disabled = running || count('ok') === 0;
+  }
+
+  // --- Schedules ---
+
+  scheduleFrequency.addEventListener('change', updateFrequencyFields);
+
+  scheduleForm.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    scheduleError.classList.add('hidden');
+
+    try {
+      await Schedules.save({
+        name: scheduleName.value,
+        url: scheduleUrl.value,
+        frequency: scheduleFrequency.value,
+        time: scheduleTime.value,
+        everyMinutes: parseInt(scheduleMinutes.value, 10),
+        retention: parseInt(scheduleRetention.value, 10),
+      });
+    } catch (err) {
+      scheduleError.textContent = err.message;
+      scheduleError.classList.remove('hidden');
+      return;
+    }
+
+    scheduleName.value = '';
+    scheduleUrl.value = '';
+  });
+
+  function updateFrequencyFields() {
+    document.getElementById('schedule-time-field').classList.toggle('hidden', scheduleFrequency.value !== 'daily');
+    document.getElementById('schedule-minutes-field').classList.toggle('hidden', scheduleFrequency.value !== 'interval');
+  }
+
+  async function renderSchedules() {
+    const schedules = await Schedules.list();
+    const alarms = await chrome.alarms.getAll();
+
+    schedulesBody.textContent = '';
+    schedulesTable.classList.toggle('hidden', schedules.length === 0);
+    schedulesEmpty.classList.toggle('hidden', schedules.length > 0);
+
+    for (const schedule of schedules) {
+      const alarm = alarms.find((item) => item.name === Schedules.alarmName(schedule.id));
+      const row = document.createElement('tr');
+      row.classList.toggle('paused', !schedule.enabled);
+
+      const name = document.createElement('td');
+      name.textContent = schedule.name;
+
+      const url = document.createElement('td');
+      url.className = 'url';
+      url.textContent = schedule.url;
+
+      const when = document.createElement('td');
+      when.textContent = `${Schedules.describe(schedule)} · keep ${schedule.retention}`;
+
+      const next = document.createElement('td');
+      // The alarm may not be (re)planned yet right after a change
+      const nextRun = alarm ? alarm.scheduledTime : Math.max(Schedules.nextRunTime(schedule), Date.now());
+      next.textContent = schedule.enabled ? formatTime(nextRun) : 'Paused';
+
+      row.append(name, url, when, next, buildLastRunCell(schedule), buildScheduleActions(schedule));
+      schedulesBody.appendChild(row);
+    }
+  }
+
+  function buildLastRunCell(schedule) {
+    const cell = document.createElement('td');
+    const result = schedule.lastResult;
+    if (!result) {
+      cell.textContent = 'Never';
+      return cell;
+    }
+
+    cell.className = `status-${result.status}`;
+    const label = result.error ? `${STATUS_LABELS[result.status]}: ${result.error}` : STATUS_LABELS[result.status];
+    cell.textContent = result.at ? `${formatTime(result.at)} · ${label}` : label;
+    return cell;
+  }
+
+  function buildScheduleActions(schedule) {
+    const cell = document.createElement('td');
+    cell.className = 'actions';
+
+    const addAction = (label, onClick, { danger = false, disabled = false } = {}) => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = danger ? 'link-btn danger' : 'link-btn';
+      button.textContent = label;
+      button.disabled = disabled;
+      button.addEventListener('click', onClick);
+      cell.appendChild(button);
+    };
+
+    addAction('Run now', async () => {
+      const response = await chrome.runtime.sendMessage({ action: MSG.RUN_SCHEDULE, scheduleId: schedule.id })
+        .catch((err) => ({ error: err.message }));
+      if (response?.error) {
+        scheduleError.textContent = response.error;
+        scheduleError.classList.remove('hidden');
+      }
+    });
+
+    addAction('History', () => {
+      chrome.tabs.create({ url: chrome.runtime.getURL(`viewer/set.html?set=${encodeURIComponent(schedule.setId)}`) });
+    }, { disabled: !schedule.setId });
+
+    addAction(schedule.enabled ? 'Pause' : 'Resume', () => {
+      Schedules.update(schedule.id, { enabled: !schedule.enabled });
+    });
+
+    addAction('Delete', () => {
+      if (confirm(`Delete the schedule "${schedule.name}"? Its captures stay in the library.`)) {
+        Schedules.remove(schedule.id);
+      }
+    }, { danger: true });
+
+    return cell;
+  }
+
+  function formatTime(timestamp) {
+    return new Date(timestamp).toLocaleString([], { dateStyle: 'short', timeStyle: 'short' });
+  }
+
+  function applyTheme(theme) {
+    if (!theme || theme === 'system') {
+      const prefersDark = window.matchMedia('(prefers-color-scheme: dark)').matches;
+      document.documentElement.setAttribute('data-theme', prefersDark ? 'dark' : 'light');
+    } else {
+      document.documentElement.setAttribute('data-theme', theme);
+    }
+  }
+
+  async function saveSettings() {
+    const current = await chrome.storage.local.get(STORAGE_KEYS.SETTINGS);
+    await chrome.storage.local.set({
+      [STORAGE_KEYS.SETTINGS]: { ...(current[STORAGE_KEYS.SETTINGS] || {}), batchSettleMs: settings.batchSettleMs },
+    });
+  }
+});
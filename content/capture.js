@@ -6,97 +6,191 @@
   if (window.__fullsnap_injected) return;
   window.__fullsnap_injected = true;
 
+  let captureSessionActive = false;
   let fixedElements = [];
+  let fixedElementsRescanned = false;
+  // What happens to fixed/sticky headers and footers: 'once' | 'hide' | 'keep'
+  let stickyPolicy = { header: DEFAULTS.stickyHeader, footer: DEFAULTS.stickyFooter };
+  // The element being captured in element mode; fixed/sticky boxes holding it stay visible
+  let captureTarget = null;
   let originalScrollX = 0;
   let originalScrollY = 0;
   let scrollbarStyle = null;
 
+  // Inner element scrolled instead of the window (apps with an overflow:auto shell)
+  let scrollContainer = null;
+  let originalContainerScrollTop = 0;
+  let originalContainerScrollLeft = 0;
+  let originalContainerScrollbarWidth = '';
+
   // Listen for messages from service worker
-  chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  chrome.runtime.onMessage.addListener(onRuntimeMessage);
+
+  function onRuntimeMessage(message, sender, sendResponse) {
     switch (message.action) {
       case MSG.START_CAPTURE:
-        handleStartCapture(sendResponse);
+        handleStartCapture(message, sendResponse);
+        return true;
+
+      case MSG.SELECT_REGION:
+        handleSelectRegion(sendResponse);
+        return true;
+
+      case MSG.PICK_ELEMENT:
+        handlePickElement(message, sendResponse);
+        return true;
+
+      case MSG.PICK_HIDE_ELEMENT:
+        handlePickHideElement(sendResponse);
+        return true;
+
+      case MSG.HIDE_RULE_ADDED:
+        // Confirmed once the rule is saved; it applies from the next capture on
+        showToast(`Will be hidden in future captures: ${message.selector}`);
+        sendResponse({ ok: true });
+        return false;
+
+      case MSG.WARM_UP:
+        handleWarmUp(sendResponse);
         return true;
 
       case MSG.SCROLL_TO:
         handleScrollTo(message, sendResponse);
         return true;
 
+      case MSG.CAPTURE_PROGRESS:
+        showProgressOverlay(message);
+        sendResponse({ ok: true });
+        return false;
+
+      case MSG.HIDE_OVERLAY:
+        handleHideOverlay(sendResponse);
+        return true;
+
       case MSG.CLEANUP:
         handleCleanup(sendResponse);
         return true;
     }
-  });
+  }
 
-  function handleStartCapture(sendResponse) {
-    try {
+  function handleStartCapture(message, sendResponse) {
+    // A service worker that restarted mid-capture begins a new session on the same
+    // page: undo the old one, but keep the scroll position from before it.
+    if (captureSessionActive) {
+      resetCaptureSession();
+    } else {
       // Save original scroll position
       originalScrollX = window.scrollX;
       originalScrollY = window.scrollY;
+    }
+    captureSessionActive = true;
+    captureTarget = null;
+    stickyPolicy = {
+      header: message.stickyPolicy?.header || DEFAULTS.stickyHeader,
+      footer: message.stickyPolicy?.footer || DEFAULTS.stickyFooter,
+    };
+    // Before measuring or detecting scroll areas: a hidden modal no longer
+    // covers the page or changes its height.
+    applyHideRules(message.hideSelectors || []);
+    freezePage();
+
+    // Frames are expanded before anything is measured, so the page height includes them
+    const framePolicy = message.frames || 'ignore';
+    (framePolicy === 'ignore' ? Promise.resolve([]) : measureEmbeddedFrames())
+      .then((frames) => prepareEmbeddedFrames(frames, framePolicy === 'expand'))
+      .then(() => resolveScrollContainer(message.scrollContainer || 'page'))
+      .then((container) => {
+        if (container === undefined) {
+          sendResponse({ cancelled: true });
+          return;
+        }
+        sendResponse(startCapture(container));
+      })
+      .catch((err) => sendResponse({ error: err.message }));
+  }
 
+  function startCapture(container) {
+    try {
       // Measure page
-      const body = document.body;
-      const html = document.documentElement;
-      const totalHeight = Math.max(
-        body.scrollHeight || 0,
-        html.scrollHeight || 0,
-        body.offsetHeight || 0,
-        html.offsetHeight || 0
-      );
-      const totalWidth = Math.max(
-        body.scrollWidth || 0,
-        html.scrollWidth || 0,
-        body.offsetWidth || 0,
-        html.offsetWidth || 0
-      );
+      const totalHeight = measurePageHeight();
 
       // Find fixed/sticky elements
       fixedElements = findFixedElements();
+      fixedElementsRescanned = false;
 
       // Hide scrollbar
       hideScrollbar();
 
-      sendResponse({
+      const metrics = {
         totalHeight,
-        totalWidth,
+        totalWidth: window.innerWidth + measureHorizontalOverflow(null),
         viewportWidth: window.innerWidth,
         viewportHeight: window.innerHeight,
+        frameWidth: window.innerWidth,
+        frameHeight: window.innerHeight,
         devicePixelRatio: window.devicePixelRatio || 1,
-      });
+      };
+
+      if (container) {
+        attachScrollContainer(container);
+        const rect = container.getBoundingClientRect();
+
+        // The container's client box is the "viewport" that gets scrolled; the
+        // window frame is still what captureVisibleTab returns.
+        metrics.totalHeight = container.scrollHeight;
+        metrics.totalWidth = container.clientWidth + measureHorizontalOverflow(container);
+        metrics.viewportWidth = container.clientWidth;
+        metrics.viewportHeight = container.clientHeight;
+        metrics.containerRect = {
+          x: Math.round(rect.left + container.clientLeft),
+          y: Math.round(rect.top + container.clientTop),
+          width: container.clientWidth,
+          height: container.clientHeight,
+        };
+        metrics.scrollContainer = describeElement(container);
+      }
+
+      metrics.hiddenByRules = hiddenByRules.length;
+      metrics.scrollableFrames = scrollableFrameCount;
+      metrics.expandedFrames = expandedFrames.length;
+
+      return metrics;
     } catch (err) {
-      sendResponse({ error: err.message });
+      return { error: err.message };
     }
   }
 
   function handleScrollTo(message, sendResponse) {
     try {
       const { scrollY, isFirst, isLast, progress } = message;
+      const scrollX = message.scrollX || 0;
 
-      // For first frame, ensure we're at true top of page
-      if (isFirst && scrollY === 0) {
+      if (scrollContainer) {
+        scrollContainer.scrollTo({ left: scrollX, top: scrollY, behavior: 'instant' });
+      } else if (isFirst && scrollY === 0) {
+        // For first frame, ensure we're at true top of page
         // Force scroll to absolute top
         window.scrollTo({
-          left: 0,
+          left: scrollX,
           top: 0,
           behavior: 'instant',
         });
         // Double-check we're at top
         if (window.scrollY !== 0) {
           console.warn('[FullSnap] First frame not at top, scrollY:', window.scrollY);
-          window.scroll(0, 0); // Fallback
+          window.scroll(scrollX, 0); // Fallback
         }
       } else {
         // Normal scroll for other frames
         window.scrollTo({
-          left: 0,
+          left: scrollX,
           top: scrollY,
           behavior: 'instant',
         });
       }
 
-      // CRITICAL FIX: Hide fixed elements on ALL frames including first
-      // Showing them on first frame causes viewport offset issues
-      hideFixedElements();
+      // Hide or show fixed/sticky elements for this frame per the sticky policy
+      applyStickyPolicy(Boolean(message.expandedViewport));
 
       // Wait for paint to settle
       // Use double RAF for first frame to ensure complete render
@@ -108,7 +202,14 @@
           requestAnimationFrame(waitForRender);
         } else {
           setTimeout(() => {
-            sendResponse({ ok: true, scrollY: window.scrollY });
+            sendResponse({
+              ok: true,
+              scrollX: scrollContainer ? scrollContainer.scrollLeft : window.scrollX,
+              scrollY: scrollContainer ? scrollContainer.scrollTop : window.scrollY,
+              // Re-measured every frame so the background can follow pages that grow
+              // or shrink while being captured
+              totalHeight: measurePageHeight(),
+            });
           }, 0);
         }
       }
@@ -119,81 +220,672 @@
     return true;
   }
 
+  function handleWarmUp(sendResponse) {
+    warmUpPage()
+      .then((result) => sendResponse(result))
+      .catch((err) => sendResponse({ error: err.message }));
+  }
+
+  function handleSelectRegion(sendResponse) {
+    selectRegion()
+      .then((rect) => sendResponse(rect ? { rect } : { cancelled: true }))
+      .catch((err) => sendResponse({ error: err.message }));
+  }
+
+  // From the context menu, the right-clicked element (recorded by
+  // content/context-target.js) is used without asking
+  function handlePickElement(message, sendResponse) {
+    const contextTarget = message.contextTarget ? window.__fullsnapContextTarget : null;
+    const picked = contextTarget?.isConnected
+      ? Promise.resolve(contextTarget)
+      : pickElement({ hint: 'Click an element to capture · ↑ selects parent · Esc to cancel' });
+
+    picked
+      .then((element) => {
+        if (!element) {
+          sendResponse({ cancelled: true });
+          return;
+        }
+
+        captureTarget = element;
+        const rect = element.getBoundingClientRect();
+        if (isInFixedLayer(element)) {
+          // Fixed content (a modal, a drawer, a chat widget) stays put in the viewport
+          // while the page scrolls: it is captured where it is, without scrolling
+          const left = Math.max(0, rect.left);
+          const top = Math.max(0, rect.top);
+          sendResponse({
+            rect: {
+              x: left + window.scrollX,
+              y: top + window.scrollY,
+              width: Math.max(0, Math.min(window.innerWidth, rect.right) - left),
+              height: Math.max(0, Math.min(window.innerHeight, rect.bottom) - top),
+            },
+            fixed: true,
+            scrollX: window.scrollX,
+            scrollY: window.scrollY,
+            radii: readBorderRadii(element, rect),
+          });
+          return;
+        }
+        sendResponse({
+          rect: {
+            x: rect.left + window.scrollX,
+            y: rect.top + window.scrollY,
+            width: rect.width,
+            height: rect.height,
+          },
+          radii: readBorderRadii(element, rect),
+        });
+      })
+      .catch((err) => sendResponse({ error: err.message }));
+  }
+
+  function handlePickHideElement(sendResponse) {
+    pickElement({ hint: 'Click an element to hide in captures of this site · ↑ selects parent · Esc to cancel' })
+      .then((element) => {
+        if (!element) {
+          sendResponse({ cancelled: true });
+          return;
+        }
+
+        sendResponse({ selector: buildSelector(element) });
+      })
+      .catch((err) => sendResponse({ error: err.message }));
+  }
+
   function handleCleanup(sendResponse) {
+    resetCaptureSession();
+
+    // Restore scroll position (the hide-rule picker never starts a session)
+    if (captureSessionActive) {
+      window.scrollTo({
+        left: originalScrollX,
+        top: originalScrollY,
+        behavior: 'instant',
+      });
+    }
+    captureSessionActive = false;
+    captureTarget = null;
+
+    // The next injection starts a fresh instance; this one must stop answering,
+    // or both would handle the next capture's messages
+    chrome.runtime.onMessage.removeListener(onRuntimeMessage);
+    delete window.__fullsnap_injected;
+
+    sendResponse({ ok: true });
+  }
+
+  // Undoes everything a capture session changed on the page except scrolling
+  function resetCaptureSession() {
+    // Remove selection UI if capture was aborted mid-drag
+    if (regionSelection) {
+      regionSelection.finish(null);
+    }
+    if (elementPicker) {
+      elementPicker.finish(null);
+    }
+    removeProgressOverlay();
+
     // Restore fixed elements
     restoreFixedElements();
+    restoreHideRules();
+    thawPage();
 
-    // Restore scroll position
-    window.scrollTo({
-      left: originalScrollX,
-      top: originalScrollY,
-      behavior: 'instant',
-    });
+    restoreLazyLoading();
+    detachScrollContainer();
+    restoreEmbeddedFrames();
 
     // Remove scrollbar hiding
     restoreScrollbar();
+  }
 
-    // Clean up injection flag
-    delete window.__fullsnap_injected;
+  function measurePageHeight() {
+    if (scrollContainer) {
+      return scrollContainer.scrollHeight;
+    }
 
-    sendResponse({ ok: true });
+    const body = document.body;
+    const html = document.documentElement;
+    return Math.max(
+      body.scrollHeight || 0,
+      html.scrollHeight || 0,
+      body.offsetHeight || 0,
+      html.offsetHeight || 0
+    );
   }
 
-  // --- Fixed/Sticky element management ---
+  // --- Lazy-load warm-up ---
 
-  function findFixedElements() {
-    const elements = [];
+  let eagerLoadedElements = [];
+
+  // Scrolls through the whole page so lazy images, iframes and infinite feeds
+  // load, waits for the network to go quiet, then re-measures and returns to top.
+  async function warmUpPage() {
+    const startedAt = Date.now();
+    const deadline = startedAt + CAPTURE_LIMITS.WARM_UP_MAX_MS;
+    const step = scrollContainer ? scrollContainer.clientHeight : window.innerHeight;
+    const network = watchNetworkActivity();
+    let timedOut = false;
 
-    // Optimized: Target fixed/sticky elements directly instead of scanning entire DOM
-    // This is much faster than querySelectorAll('*') on large pages
-    const fixedSelectors = [
-      '[style*="position: fixed"]',
-      '[style*="position:fixed"]',
-      '[style*="position: sticky"]',
-      '[style*="position:sticky"]',
-      '.fixed',
-      '.sticky',
-      '.navbar-fixed',
-      '.header-fixed'
-    ].join(',');
+    promoteLazyLoading();
 
     try {
-      const candidates = document.querySelectorAll(fixedSelectors);
-      for (const el of candidates) {
-        const style = window.getComputedStyle(el);
-        if (style.position === 'fixed' || style.position === 'sticky') {
-          elements.push({
-            element: el,
-            originalVisibility: el.style.visibility,
-            originalDisplay: el.style.display,
-            originalOpacity: el.style.opacity,
-            originalZIndex: el.style.zIndex,
-          });
+      let y = 0;
+      while (true) {
+        scrollToY(y);
+        await nextFrame();
+        await waitForPendingMedia(Math.min(CAPTURE_LIMITS.WARM_UP_STEP_WAIT_MS, deadline - Date.now()));
+
+        if (Date.now() >= deadline) {
+          timedOut = true;
+          break;
         }
+
+        // Re-measure every step: infinite feeds grow as we approach the bottom
+        if (y + step >= measurePageHeight()) break;
+        y += step;
       }
-    } catch (e) {
-      // Fallback to checking all elements if selector fails
-      const allElements = document.querySelectorAll('*');
-      for (const el of allElements) {
-        const style = window.getComputedStyle(el);
-        if (style.position === 'fixed' || style.position === 'sticky') {
-          elements.push({
-            element: el,
-            originalVisibility: el.style.visibility,
-            originalDisplay: el.style.display,
-            originalOpacity: el.style.opacity,
-            originalZIndex: el.style.zIndex,
-          });
+
+      await network.waitForQuiet(Math.max(0, deadline - Date.now()));
+    } finally {
+      network.disconnect();
+    }
+
+    scrollToY(0);
+    await nextFrame();
+
+    return {
+      ok: true,
+      totalHeight: measurePageHeight(),
+      durationMs: Date.now() - startedAt,
+      timedOut,
+    };
+  }
+
+  function scrollToY(y) {
+    if (scrollContainer) {
+      scrollContainer.scrollTo({ left: 0, top: y, behavior: 'instant' });
+    } else {
+      window.scrollTo({ left: 0, top: y, behavior: 'instant' });
+    }
+  }
+
+  function nextFrame() {
+    return new Promise((resolve) => requestAnimationFrame(() => resolve()));
+  }
+
+  // Native lazy loading only fires near the viewport; switch to eager so the
+  // browser starts everything at once. Restored in cleanup.
+  function promoteLazyLoading() {
+    for (const el of document.querySelectorAll('img[loading="lazy"], iframe[loading="lazy"]')) {
+      eagerLoadedElements.push(el);
+      el.loading = 'eager';
+    }
+  }
+
+  function restoreLazyLoading() {
+    for (const el of eagerLoadedElements) {
+      el.loading = 'lazy';
+    }
+    eagerLoadedElements = [];
+  }
+
+  // Waits for images and iframes near the viewport that are still loading.
+  function waitForPendingMedia(timeoutMs) {
+    const margin = window.innerHeight;
+    const isNearViewport = (el) => {
+      const rect = el.getBoundingClientRect();
+      return rect.bottom > -margin && rect.top < window.innerHeight + margin && rect.width > 0;
+    };
+
+    const pending = [];
+    for (const img of document.images) {
+      if (!img.complete && isNearViewport(img)) {
+        pending.push(waitForLoadEvent(img));
+      }
+    }
+    for (const frame of document.querySelectorAll('iframe')) {
+      if (isIframeLoading(frame) && isNearViewport(frame)) {
+        pending.push(waitForLoadEvent(frame));
+      }
+    }
+
+    if (pending.length === 0 || timeoutMs <= 0) {
+      return Promise.resolve();
+    }
+
+    return Promise.race([Promise.all(pending), delay(timeoutMs)]);
+  }
+
+  function isIframeLoading(frame) {
+    try {
+      const doc = frame.contentDocument;
+      // Cross-origin frames expose no document; we cannot tell, so don't wait on them.
+      return !!doc && doc.readyState !== 'complete';
+    } catch (_) {
+      return false;
+    }
+  }
+
+  function waitForLoadEvent(el) {
+    return new Promise((resolve) => {
+      el.addEventListener('load', resolve, { once: true });
+      el.addEventListener('error', resolve, { once: true });
+    });
+  }
+
+  // Resource timing entries are reported as fetches finish, so "no new entries
+  // for NETWORK_QUIET_MS" is a good proxy for the page having settled.
+  function watchNetworkActivity() {
+    let lastActivity = Date.now();
+    let observer = null;
+
+    try {
+      observer = new PerformanceObserver(() => {
+        lastActivity = Date.now();
+      });
+      observer.observe({ type: 'resource', buffered: false });
+    } catch (_) {
+      observer = null;
+    }
+
+    return {
+      async waitForQuiet(maxWaitMs) {
+        const until = Date.now() + maxWaitMs;
+        while (Date.now() < until) {
+          const quietFor = Date.now() - lastActivity;
+          if (quietFor >= CAPTURE_LIMITS.NETWORK_QUIET_MS) return;
+          await delay(Math.min(CAPTURE_LIMITS.NETWORK_QUIET_MS - quietFor, until - Date.now()));
+        }
+      },
+      disconnect() {
+        if (observer) observer.disconnect();
+      },
+    };
+  }
+
+  function delay(ms) {
+    return new Promise((resolve) => setTimeout(resolve, ms));
+  }
+
+  // --- Scroll container detection ---
+
+  // Resolves with the element to scroll, null for the window, or undefined when
+  // the user cancelled the picker.
+  async function resolveScrollContainer(preference) {
+    if (preference === 'pick') {
+      const picked = await pickElement({
+        hint: 'Click the area you want to capture · Esc to cancel',
+        resolveTarget: findScrollableAncestor,
+      });
+      return picked || undefined;
+    }
+
+    if (preference === 'auto' && !isDocumentScrollable()) {
+      return findDominantScrollContainer();
+    }
+
+    return null;
+  }
+
+  function isDocumentScrollable() {
+    const scroller = document.scrollingElement || document.documentElement;
+    return scroller.scrollHeight > window.innerHeight + 1;
+  }
+
+  function isScrollable(element) {
+    if (!(element instanceof Element) || element === document.documentElement || element === document.body) {
+      return false;
+    }
+    const overflowY = window.getComputedStyle(element).overflowY;
+    return (
+      (overflowY === 'auto' || overflowY === 'scroll' || overflowY === 'overlay') &&
+      element.scrollHeight > element.clientHeight + 1
+    );
+  }
+
+  function findScrollableAncestor(element) {
+    let node = element;
+    while (node && node !== document.documentElement) {
+      if (isScrollable(node)) return node;
+      node = node.parentElement;
+    }
+    return null;
+  }
+
+  // Samples a grid of viewport points and picks the largest scrollable ancestor.
+  // Much cheaper than scanning the whole DOM, and only visible scrollers matter.
+  function findDominantScrollContainer() {
+    const seen = new Set();
+    let best = null;
+    let bestArea = 0;
+
+    for (let gx = 1; gx <= 4; gx++) {
+      for (let gy = 1; gy <= 4; gy++) {
+        const x = (window.innerWidth * gx) / 5;
+        const y = (window.innerHeight * gy) / 5;
+        const container = findScrollableAncestor(document.elementFromPoint(x, y));
+        if (!container || seen.has(container)) continue;
+        seen.add(container);
+
+        const area = container.clientWidth * container.clientHeight;
+        if (area > bestArea) {
+          best = container;
+          bestArea = area;
+        }
+      }
+    }
+
+    // Ignore small widgets (dropdowns, code blocks) — a dominant scroller fills
+    // a meaningful share of the viewport.
+    const minArea = window.innerWidth * window.innerHeight * 0.25;
+    return bestArea >= minArea ? best : null;
+  }
+
+  // How far (CSS px) the window or container can actually scroll horizontally.
+  // overflow-x:hidden pages often report a wide scrollWidth that is not reachable,
+  // and 1-2 px rounding overflow is not worth a second column of tiles.
+  function measureHorizontalOverflow(container) {
+    const styled = container ? [container] : [document.documentElement, document.body];
+    const blocked = styled.some((el) => {
+      const overflowX = el ? window.getComputedStyle(el).overflowX : '';
+      return overflowX === 'hidden' || overflowX === 'clip';
+    });
+    if (blocked) return 0;
+
+    let overflow;
+    if (container) {
+      overflow = container.scrollWidth - container.clientWidth;
+    } else {
+      // Probe the real scroll range: scroll far right, read back, restore.
+      const scroller = document.scrollingElement || document.documentElement;
+      const startX = window.scrollX;
+      window.scrollTo({ left: scroller.scrollWidth, top: window.scrollY, behavior: 'instant' });
+      overflow = window.scrollX;
+      window.scrollTo({ left: startX, top: window.scrollY, behavior: 'instant' });
+    }
+
+    overflow = Math.round(overflow);
+    return overflow > CAPTURE_LIMITS.MIN_HORIZONTAL_OVERFLOW ? overflow : 0;
+  }
+
+  function attachScrollContainer(container) {
+    scrollContainer = container;
+    originalContainerScrollTop = container.scrollTop;
+    originalContainerScrollLeft = container.scrollLeft;
+    originalContainerScrollbarWidth = container.style.scrollbarWidth;
+    container.style.setProperty('scrollbar-width', 'none', 'important');
+  }
+
+  function detachScrollContainer() {
+    if (!scrollContainer) return;
+
+    scrollContainer.scrollTo({
+      left: originalContainerScrollLeft,
+      top: originalContainerScrollTop,
+      behavior: 'instant',
+    });
+    if (originalContainerScrollbarWidth) {
+      scrollContainer.style.scrollbarWidth = originalContainerScrollbarWidth;
+    } else {
+      scrollContainer.style.removeProperty('scrollbar-width');
+    }
+    scrollContainer = null;
+  }
+
+  // --- Embedded frames ---
+
+  let expandedFrames = [];
+  let scrollableFrameCount = 0;
+
+  // Embedded frames whose document scrolls on its own, with the height their content
+  // needs. Same-origin frames are read directly; cross-origin ones answer through
+  // content/frame-probe.js. Frames the extension may not script never answer.
+  async function measureEmbeddedFrames() {
+    const frames = [...document.querySelectorAll('iframe, frame')].filter((frame) => {
+      const rect = frame.getBoundingClientRect();
+      return rect.width > 0 && rect.height > 0 && frame.contentWindow;
+    });
+    if (frames.length === 0) return [];
+
+    const sizes = new Map();
+    const probed = [];
+    for (const frame of frames) {
+      try {
+        const root = frame.contentDocument?.scrollingElement;
+        if (root) sizes.set(frame, { scrollHeight: root.scrollHeight, clientHeight: frame.contentWindow.innerHeight });
+      } catch (_) {
+        // Cross-origin: left to the probe
+      }
+      if (!sizes.has(frame)) probed.push(frame);
+    }
+
+    const token = Math.random().toString(36).slice(2);
+    await new Promise((resolve) => {
+      const timer = setTimeout(finish, CAPTURE_LIMITS.FRAME_PROBE_TIMEOUT_MS);
+      function finish() {
+        clearTimeout(timer);
+        window.removeEventListener('message', onMessage);
+        resolve();
+      }
+      function onMessage(e) {
+        if (!e.data || e.data.__fullsnapFrameSize !== token) return;
+        const frame = frames.find((item) => item.contentWindow === e.source);
+        if (frame) sizes.set(frame, { scrollHeight: e.data.scrollHeight, clientHeight: e.data.clientHeight });
+        if (probed.every((item) => sizes.has(item))) finish();
+      }
+
+      window.addEventListener('message', onMessage);
+      for (const frame of probed) {
+        frame.contentWindow.postMessage({ __fullsnapFrameProbe: token }, '*');
+      }
+      if (probed.length === 0) finish();
+    });
+
+    return [...sizes]
+      .filter(([, size]) => size.scrollHeight > size.clientHeight + CAPTURE_LIMITS.MIN_FRAME_OVERFLOW)
+      .map(([frame, size]) => ({ frame, extra: size.scrollHeight - size.clientHeight }));
+  }
+
+  // Counts the frames that scroll internally and, when asked, makes each one tall
+  // enough to show its whole document so the page capture includes it
+  async function prepareEmbeddedFrames(frames, expand) {
+    scrollableFrameCount = frames.length;
+    if (!expand || frames.length === 0) return;
+
+    for (const { frame, extra } of frames) {
+      const height = parseFloat(window.getComputedStyle(frame).height) || frame.clientHeight;
+      expandedFrames.push({
+        frame,
+        height: frame.style.getPropertyValue('height'),
+        heightPriority: frame.style.getPropertyPriority('height'),
+        maxHeight: frame.style.getPropertyValue('max-height'),
+        maxHeightPriority: frame.style.getPropertyPriority('max-height'),
+      });
+      const expanded = Math.min(height + extra, CAPTURE_LIMITS.MAX_FRAME_EXPAND_PX);
+      frame.style.setProperty('height', `${Math.round(expanded)}px`, 'important');
+      frame.style.setProperty('max-height', 'none', 'important');
+    }
+
+    // Let the page lay out around the taller frames before it is measured
+    await nextFrame();
+    await nextFrame();
+  }
+
+  function restoreEmbeddedFrames() {
+    for (const item of expandedFrames) {
+      item.frame.style.removeProperty('height');
+      item.frame.style.removeProperty('max-height');
+      if (item.height) item.frame.style.setProperty('height', item.height, item.heightPriority);
+      if (item.maxHeight) item.frame.style.setProperty('max-height', item.maxHeight, item.maxHeightPriority);
+    }
+    expandedFrames = [];
+  }
+
+  // --- Fixed/Sticky element management ---
+
+  // Subtrees that never contain boxes worth hiding
+  const FIXED_SCAN_SKIP_TAGS = new Set([
+    'SCRIPT', 'STYLE', 'LINK', 'META', 'NOSCRIPT', 'TEMPLATE', 'HEAD', 'BR', 'WBR', 'OPTION',
+  ]);
+  // Phrasing tags are walked through, never taken as candidates themselves
+  const FIXED_SCAN_INLINE_TAGS = new Set([
+    'A', 'SPAN', 'B', 'I', 'EM', 'STRONG', 'SMALL', 'CODE', 'ABBR', 'SUB', 'SUP', 'LABEL', 'TIME', 'MARK',
+  ]);
+
+  // Computed-style scan for fixed and sticky boxes, limited to likely candidates
+  // that cheap layout reads point out: a fixed box has no offsetParent, and a sticky
+  // box is the offsetParent of the elements inside it (so one holding only text is
+  // not found). The TreeWalker skips hidden subtrees and SVG, and candidates inside
+  // a match are dropped, since they move and hide along with it.
+  function findFixedElements(known = []) {
+    const knownElements = new Set(known.map((item) => item.element));
+    const candidates = new Set();
+    const root = document.body || document.documentElement;
+
+    const walker = document.createTreeWalker(root, NodeFilter.SHOW_ELEMENT, {
+      acceptNode(el) {
+        if (FIXED_SCAN_SKIP_TAGS.has(el.tagName)) return NodeFilter.FILTER_REJECT;
+        // Our own overlays
+        if (el.id.startsWith('fullsnap-')) return NodeFilter.FILTER_REJECT;
+        if (!(el instanceof HTMLElement)) return NodeFilter.FILTER_REJECT;
+        if (FIXED_SCAN_INLINE_TAGS.has(el.tagName)) return NodeFilter.FILTER_SKIP;
+        if (knownElements.has(el)) return NodeFilter.FILTER_REJECT;
+
+        const parent = el.offsetParent;
+        if (parent) {
+          if (parent !== root) candidates.add(parent);
+          return NodeFilter.FILTER_SKIP;
+        }
+        // No offsetParent: fixed, or not rendered at all
+        if (el.getClientRects().length === 0 && window.getComputedStyle(el).display === 'none') {
+          return NodeFilter.FILTER_REJECT;
         }
+        candidates.add(el);
+        return NodeFilter.FILTER_SKIP;
+      },
+    });
+
+    while (walker.nextNode()) {
+      // acceptNode collects the candidates; nothing is returned
+    }
+
+    const ordered = Array.from(candidates).sort((a, b) =>
+      a.compareDocumentPosition(b) & Node.DOCUMENT_POSITION_FOLLOWING ? -1 : 1
+    );
+    const elements = [];
+    for (const el of ordered) {
+      if (knownElements.has(el) || elements.some((item) => item.element.contains(el))) continue;
+
+      const style = window.getComputedStyle(el);
+      if (style.position === 'fixed' || style.position === 'sticky') {
+        elements.push(describeFixedElement(el, style));
       }
     }
 
     return elements;
   }
 
-  function hideFixedElements() {
+  function describeFixedElement(el, style) {
+    const sticky = style.position === 'sticky';
+    return {
+      element: el,
+      sticky,
+      placement: classifyFixedElement(el, style, sticky),
+      // Sticky boxes stick to their nearest scrolling ancestor, or the viewport
+      scrollport: sticky ? findScrollableAncestor(el.parentElement) : null,
+      originalVisibility: el.style.visibility,
+      originalDisplay: el.style.display,
+      originalOpacity: el.style.opacity,
+      originalZIndex: el.style.zIndex,
+    };
+  }
+
+  // 'header' | 'footer' | 'other'. Sticky boxes say which edge they stick to;
+  // fixed boxes count as bars when they span most of the width along an edge.
+  function classifyFixedElement(el, style, sticky) {
+    if (sticky) {
+      if (style.top !== 'auto') return 'header';
+      if (style.bottom !== 'auto') return 'footer';
+      return 'other';
+    }
+
+    const rect = el.getBoundingClientRect();
+    const vh = window.innerHeight;
+    if (rect.width < window.innerWidth / 2 || rect.height > vh / 2) return 'other';
+    if (rect.top <= vh / 4) return 'header';
+    if (rect.bottom >= (vh * 3) / 4) return 'footer';
+    return 'other';
+  }
+
+  // Whether the element or one of its ancestors is positioned against the viewport
+  function isInFixedLayer(element) {
+    for (let el = element; el && el !== document.documentElement; el = el.parentElement) {
+      if (window.getComputedStyle(el).position === 'fixed') return true;
+    }
+    return false;
+  }
+
+  // A sticky box that is not currently stuck sits at its place in the flow and is
+  // ordinary page content (e.g. a table header halfway down the page).
+  function isStuck(item) {
+    const style = window.getComputedStyle(item.element);
+    const rect = item.element.getBoundingClientRect();
+    const port = item.scrollport
+      ? item.scrollport.getBoundingClientRect()
+      : { top: 0, bottom: window.innerHeight };
+
+    if (item.placement === 'footer') {
+      return Math.abs(port.bottom - parseFloat(style.bottom) - rect.bottom) < 1;
+    }
+    return Math.abs(rect.top - port.top - parseFloat(style.top)) < 1;
+  }
+
+  function shouldShowFixedElement(item, atTop, atBottom) {
+    // The captured element, or a box it sits in
+    if (captureTarget && item.element.contains(captureTarget)) return true;
+
+    const policy = item.placement === 'header'
+      ? stickyPolicy.header
+      : item.placement === 'footer' ? stickyPolicy.footer : 'hide';
+
+    if (policy === 'keep') return true;
+    if (item.sticky && !isStuck(item)) return true;
+    if (policy === 'once') {
+      return item.placement === 'header' ? atTop : atBottom;
+    }
+    return false;
+  }
+
+  // Applies the header/footer policy for the current scroll position. Floating
+  // widgets and side rails ('other') are hidden on every frame. An expanded viewport
+  // (the DevTools protocol engine renders the whole page at once) is both top and bottom.
+  function applyStickyPolicy(expandedViewport = false) {
+    const scrollTop = scrollContainer ? scrollContainer.scrollTop : window.scrollY;
+    const maxScrollTop = scrollContainer
+      ? scrollContainer.scrollHeight - scrollContainer.clientHeight
+      : measurePageHeight() - window.innerHeight;
+    const atTop = expandedViewport || scrollTop <= 0;
+    const atBottom = expandedViewport || scrollTop >= maxScrollTop - 1;
+
+    // Many headers only turn fixed once the page scrolls; look again the first
+    // time we leave the top.
+    if (!atTop && !fixedElementsRescanned) {
+      fixedElementsRescanned = true;
+      fixedElements = fixedElements.concat(findFixedElements(fixedElements));
+    }
+
     for (const item of fixedElements) {
-      item.element.style.setProperty('visibility', 'hidden', 'important');
+      if (shouldShowFixedElement(item, atTop, atBottom)) {
+        if (item.originalVisibility) {
+          item.element.style.visibility = item.originalVisibility;
+        } else {
+          item.element.style.removeProperty('visibility');
+        }
+      } else {
+        item.element.style.setProperty('visibility', 'hidden', 'important');
+      }
     }
   }
 
@@ -220,6 +912,626 @@
     }
   }
 
+  // --- Progress overlay ---
+
+  let progressOverlay = null;
+
+  // Shown while the capture loop runs, with a cancel button (Escape works too).
+  // Styles come from content/progress-overlay.css.
+  function showProgressOverlay(message) {
+    if (!progressOverlay) {
+      progressOverlay = createProgressOverlay();
+    }
+
+    const percent = Math.round((message.progress || 0) * 100);
+    if (!progressOverlay.cancelRequested) {
+      progressOverlay.text.textContent = describeProgress(message, percent);
+    }
+    progressOverlay.fill.style.width = `${percent}%`;
+    progressOverlay.root.style.removeProperty('display');
+  }
+
+  // "Capturing 42% · part 5 of 12 · ~6 s left"
+  function describeProgress(message, percent) {
+    if (message.phase === 'warm-up') {
+      return 'Loading lazy content…';
+    }
+
+    const parts = [`Capturing ${percent}%`];
+    if (message.total > 1) {
+      parts.push(`part ${message.current} of ${message.total}`);
+    }
+    if (Number.isFinite(message.etaMs)) {
+      const seconds = Math.round(message.etaMs / 1000);
+      parts.push(seconds < 1 ? 'almost done' : seconds < 60 ? `~${seconds} s left` : `~${Math.ceil(seconds / 60)} min left`);
+    }
+    return parts.join(' · ');
+  }
+
+  function createProgressOverlay() {
+    const root = document.createElement('div');
+    root.id = 'fullsnap-progress-overlay';
+    // Invisible until its stylesheet has loaded
+    root.style.opacity = '0';
+
+    const stylesheet = document.createElement('link');
+    stylesheet.rel = 'stylesheet';
+    stylesheet.href = chrome.runtime.getURL('content/progress-overlay.css');
+    stylesheet.addEventListener('load', () => root.style.removeProperty('opacity'));
+
+    const container = document.createElement('div');
+    container.className = 'fullsnap-progress-container';
+
+    const icon = document.createElement('span');
+    icon.className = 'fullsnap-progress-icon';
+    icon.innerHTML = '<svg width="16" height="16" viewBox="0 0 16 16" fill="none">'
+      + '<rect x="1.5" y="4" width="13" height="9.5" rx="1.5" stroke="currentColor" stroke-width="1.3"/>'
+      + '<circle cx="8" cy="8.75" r="2.5" stroke="currentColor" stroke-width="1.3"/>'
+      + '<path d="M5.5 4l1-1.5h3l1 1.5" stroke="currentColor" stroke-width="1.3" stroke-linejoin="round"/></svg>';
+
+    const text = document.createElement('span');
+    text.className = 'fullsnap-progress-text';
+
+    const bar = document.createElement('div');
+    bar.className = 'fullsnap-progress-bar';
+    const fill = document.createElement('div');
+    fill.className = 'fullsnap-progress-fill';
+    bar.appendChild(fill);
+
+    const cancel = document.createElement('button');
+    cancel.type = 'button';
+    cancel.className = 'fullsnap-progress-cancel';
+    cancel.textContent = 'Cancel';
+    cancel.title = 'Cancel capture (Esc)';
+    cancel.addEventListener('click', (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+      requestCancel();
+    });
+
+    container.append(icon, text, bar, cancel);
+    root.append(stylesheet, container);
+    document.documentElement.appendChild(root);
+    window.addEventListener('keydown', onCaptureKeyDown, true);
+
+    return { root, text, fill, cancel, cancelRequested: false };
+  }
+
+  function onCaptureKeyDown(e) {
+    if (e.key !== 'Escape' || regionSelection || elementPicker) return;
+    e.preventDefault();
+    e.stopPropagation();
+    requestCancel();
+  }
+
+  function requestCancel() {
+    if (!progressOverlay || progressOverlay.cancelRequested) return;
+
+    progressOverlay.cancelRequested = true;
+    progressOverlay.text.textContent = 'Cancelling…';
+    progressOverlay.cancel.disabled = true;
+    chrome.runtime.sendMessage({ action: MSG.CANCEL_CAPTURE }).catch(() => {});
+  }
+
+  // Hides the overlay and answers once a frame without it has been painted, so
+  // the next captureVisibleTab never contains it. The next progress update shows it again.
+  function handleHideOverlay(sendResponse) {
+    if (!progressOverlay) {
+      sendResponse({ ok: true });
+      return;
+    }
+
+    progressOverlay.root.style.setProperty('display', 'none', 'important');
+    requestAnimationFrame(() => requestAnimationFrame(() => sendResponse({ ok: true })));
+  }
+
+  function removeProgressOverlay() {
+    window.removeEventListener('keydown', onCaptureKeyDown, true);
+    if (progressOverlay) {
+      progressOverlay.root.remove();
+      progressOverlay = null;
+    }
+  }
+
+  // --- Freezing motion ---
+
+  const FREEZE_STYLE_ID = 'fullsnap-freeze-style';
+  let pausedMedia = [];
+  let pausedAnimations = [];
+  let stoppedMarquees = [];
+
+  // Stops what would otherwise change between frames and tear the stitched result:
+  // media playback, Web Animations, CSS animations/transitions and <marquee>.
+  // requestAnimationFrame loops live in the page's own world; the service worker
+  // holds those separately.
+  function freezePage() {
+    thawPage();
+
+    for (const media of document.querySelectorAll('video, audio')) {
+      if (!media.paused) {
+        media.pause();
+        pausedMedia.push(media);
+      }
+    }
+
+    // Covers element.animate() as well as running CSS animations
+    if (typeof document.getAnimations === 'function') {
+      for (const animation of document.getAnimations()) {
+        if (animation.playState === 'running') {
+          animation.pause();
+          pausedAnimations.push(animation);
+        }
+      }
+    }
+
+    for (const marquee of document.querySelectorAll('marquee')) {
+      marquee.stop();
+      stoppedMarquees.push(marquee);
+    }
+
+    // Anything that starts later (hover effects, carousel slides) jumps straight to its end state
+    const style = document.createElement('style');
+    style.id = FREEZE_STYLE_ID;
+    style.textContent = `
+      *, *::before, *::after {
+        animation-duration: 0s !important;
+        animation-delay: 0s !important;
+        animation-iteration-count: 1 !important;
+        transition-duration: 0s !important;
+        transition-delay: 0s !important;
+        caret-color: transparent !important;
+      }
+    `;
+    (document.head || document.documentElement).appendChild(style);
+  }
+
+  function thawPage() {
+    document.getElementById(FREEZE_STYLE_ID)?.remove();
+
+    for (const animation of pausedAnimations) {
+      if (animation.playState === 'paused') {
+        animation.play();
+      }
+    }
+    for (const marquee of stoppedMarquees) {
+      marquee.start();
+    }
+    for (const media of pausedMedia) {
+      media.play().catch(() => {});
+    }
+
+    pausedMedia = [];
+    pausedAnimations = [];
+    stoppedMarquees = [];
+  }
+
+  // --- Per-site hide rules ---
+
+  let hiddenByRules = [];
+
+  function applyHideRules(selectors) {
+    restoreHideRules();
+
+    for (const selector of selectors) {
+      let matches;
+      try {
+        matches = document.querySelectorAll(selector);
+      } catch (err) {
+        console.warn('[FullSnap] Ignoring invalid hide rule:', selector);
+        continue;
+      }
+
+      for (const element of matches) {
+        if (hiddenByRules.some((item) => item.element === element)) continue;
+        hiddenByRules.push({
+          element,
+          originalDisplay: element.style.getPropertyValue('display'),
+          originalPriority: element.style.getPropertyPriority('display'),
+        });
+        element.style.setProperty('display', 'none', 'important');
+      }
+    }
+  }
+
+  function restoreHideRules() {
+    for (const item of hiddenByRules) {
+      if (item.originalDisplay) {
+        item.element.style.setProperty('display', item.originalDisplay, item.originalPriority);
+      } else {
+        item.element.style.removeProperty('display');
+      }
+    }
+    hiddenByRules = [];
+  }
+
+  // Prefers a stable id, then tag + class steps (skipping generated class names),
+  // adding :nth-of-type only where siblings would otherwise match too.
+  function buildSelector(element) {
+    const isStable = (name) => !/\d{3,}/.test(name) && !/^(css|sc|jsx)-/.test(name);
+    const parts = [];
+    let node = element;
+
+    while (node && node !== document.body && node !== document.documentElement) {
+      if (node.id && isStable(node.id)) {
+        parts.unshift(`#${CSS.escape(node.id)}`);
+      } else {
+        let part = node.tagName.toLowerCase();
+        const classes = Array.from(node.classList).filter(isStable).slice(0, 2);
+        part += classes.map((name) => `.${CSS.escape(name)}`).join('');
+
+        const parent = node.parentElement;
+        if (parent) {
+          const siblings = Array.from(parent.children).filter((child) => child.matches(part));
+          if (siblings.length > 1) {
+            const sameTag = Array.from(parent.children).filter((child) => child.tagName === node.tagName);
+            part += `:nth-of-type(${sameTag.indexOf(node) + 1})`;
+          }
+        }
+        parts.unshift(part);
+      }
+
+      const selector = parts.join(' > ');
+      if (document.querySelectorAll(selector).length === 1) {
+        return selector;
+      }
+      node = node.parentElement;
+    }
+
+    return parts.join(' > ');
+  }
+
+  function showToast(text) {
+    const toast = document.createElement('div');
+    toast.style.cssText = [
+      'position: fixed',
+      'z-index: 2147483647',
+      'bottom: 24px',
+      'left: 50%',
+      'transform: translateX(-50%)',
+      'max-width: 80vw',
+      'padding: 8px 14px',
+      'border-radius: 6px',
+      'background: rgba(0, 0, 0, 0.82)',
+      'color: #fff',
+      'font: 500 13px -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif',
+      'overflow: hidden',
+      'text-overflow: ellipsis',
+      'white-space: nowrap',
+      'pointer-events: none',
+    ].join(';');
+    toast.textContent = text;
+    document.documentElement.appendChild(toast);
+    setTimeout(() => toast.remove(), 2500);
+  }
+
+  // --- Region selection ---
+
+  // Distance (px) from the viewport edge where dragging starts auto-scrolling
+  const REGION_EDGE_PX = 40;
+  let regionSelection = null;
+
+  // Lets the user drag a rectangle that may extend past the viewport.
+  // Resolves with the rectangle in document coordinates, or null when cancelled.
+  function selectRegion() {
+    if (regionSelection) {
+      regionSelection.finish(null);
+    }
+
+    return new Promise((resolve) => {
+      const overlay = document.createElement('div');
+      overlay.id = 'fullsnap-region-overlay';
+      overlay.style.cssText = [
+        'position: fixed',
+        'inset: 0',
+        'z-index: 2147483647',
+        'cursor: crosshair',
+        'background: rgba(0, 0, 0, 0.35)',
+        'user-select: none',
+      ].join(';');
+
+      const box = document.createElement('div');
+      box.style.cssText = [
+        'position: fixed',
+        'display: none',
+        'border: 2px dashed #4A90D9',
+        'box-shadow: 0 0 0 100000px rgba(0, 0, 0, 0.35)',
+        'pointer-events: none',
+      ].join(';');
+
+      const hint = document.createElement('div');
+      hint.textContent = 'Drag to select a region · Esc to cancel';
+      hint.style.cssText = [
+        'position: fixed',
+        'top: 16px',
+        'left: 50%',
+        'transform: translateX(-50%)',
+        'padding: 6px 12px',
+        'border-radius: 6px',
+        'background: rgba(0, 0, 0, 0.82)',
+        'color: #fff',
+        'font: 500 13px -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif',
+        'pointer-events: none',
+      ].join(';');
+
+      overlay.appendChild(box);
+      overlay.appendChild(hint);
+
+      let anchor = null;   // drag start in document coordinates
+      let pointer = null;  // last pointer position in viewport coordinates
+      let autoScrollFrame = null;
+
+      function currentRect() {
+        const x = pointer.x + window.scrollX;
+        const y = pointer.y + window.scrollY;
+        return {
+          x: Math.round(Math.min(anchor.x, x)),
+          y: Math.round(Math.min(anchor.y, y)),
+          width: Math.round(Math.abs(x - anchor.x)),
+          height: Math.round(Math.abs(y - anchor.y)),
+        };
+      }
+
+      function render() {
+        if (!anchor || !pointer) return;
+        const rect = currentRect();
+        box.style.display = 'block';
+        box.style.left = `${rect.x - window.scrollX}px`;
+        box.style.top = `${rect.y - window.scrollY}px`;
+        box.style.width = `${rect.width}px`;
+        box.style.height = `${rect.height}px`;
+        hint.textContent = `${rect.width} × ${rect.height}`;
+      }
+
+      function autoScroll() {
+        autoScrollFrame = null;
+        if (!anchor || !pointer) return;
+
+        let dy = 0;
+        if (pointer.y < REGION_EDGE_PX) {
+          dy = -Math.ceil((REGION_EDGE_PX - pointer.y) / 2);
+        } else if (pointer.y > window.innerHeight - REGION_EDGE_PX) {
+          dy = Math.ceil((pointer.y - (window.innerHeight - REGION_EDGE_PX)) / 2);
+        }
+
+        if (dy !== 0) {
+          window.scrollBy({ left: 0, top: dy, behavior: 'instant' });
+          render();
+        }
+
+        autoScrollFrame = requestAnimationFrame(autoScroll);
+      }
+
+      function onMouseDown(e) {
+        if (e.button !== 0) return;
+        e.preventDefault();
+        e.stopPropagation();
+        anchor = { x: e.clientX + window.scrollX, y: e.clientY + window.scrollY };
+        pointer = { x: e.clientX, y: e.clientY };
+        overlay.style.background = 'transparent';
+        render();
+        autoScrollFrame = requestAnimationFrame(autoScroll);
+      }
+
+      function onMouseMove(e) {
+        if (!anchor) return;
+        e.preventDefault();
+        pointer = { x: e.clientX, y: e.clientY };
+        render();
+      }
+
+      function onMouseUp(e) {
+        if (!anchor) return;
+        e.preventDefault();
+        e.stopPropagation();
+        pointer = { x: e.clientX, y: e.clientY };
+
+        const rect = currentRect();
+        if (rect.width < CAPTURE_LIMITS.MIN_SELECTION_SIZE || rect.height < CAPTURE_LIMITS.MIN_SELECTION_SIZE) {
+          // Treat as a stray click and let the user try again
+          anchor = null;
+          box.style.display = 'none';
+          overlay.style.background = 'rgba(0, 0, 0, 0.35)';
+          hint.textContent = 'Drag to select a region · Esc to cancel';
+          return;
+        }
+
+        finish(rect);
+      }
+
+      function onKeyDown(e) {
+        if (e.key !== 'Escape') return;
+        e.preventDefault();
+        e.stopPropagation();
+        finish(null);
+      }
+
+      function finish(rect) {
+        if (autoScrollFrame) {
+          cancelAnimationFrame(autoScrollFrame);
+          autoScrollFrame = null;
+        }
+        overlay.removeEventListener('mousedown', onMouseDown, true);
+        window.removeEventListener('mousemove', onMouseMove, true);
+        window.removeEventListener('mouseup', onMouseUp, true);
+        window.removeEventListener('keydown', onKeyDown, true);
+        window.removeEventListener('scroll', render, true);
+        overlay.remove();
+        regionSelection = null;
+        resolve(rect);
+      }
+
+      overlay.addEventListener('mousedown', onMouseDown, true);
+      window.addEventListener('mousemove', onMouseMove, true);
+      window.addEventListener('mouseup', onMouseUp, true);
+      window.addEventListener('keydown', onKeyDown, true);
+      window.addEventListener('scroll', render, true);
+
+      document.documentElement.appendChild(overlay);
+      regionSelection = { finish };
+    });
+  }
+
+  // --- Element picker ---
+
+  let elementPicker = null;
+
+  // Highlights the element under the pointer and resolves with the clicked one,
+  // or null when cancelled. `resolveTarget` may map the hovered node to another
+  // element (e.g. its scrollable ancestor); returning null makes it unpickable.
+  function pickElement({ hint, resolveTarget = (el) => el }) {
+    if (elementPicker) {
+      elementPicker.finish(null);
+    }
+
+    return new Promise((resolve) => {
+      const highlight = document.createElement('div');
+      highlight.id = 'fullsnap-element-highlight';
+      highlight.style.cssText = [
+        'position: fixed',
+        'display: none',
+        'z-index: 2147483647',
+        'border: 2px solid #4A90D9',
+        'background: rgba(74, 144, 217, 0.15)',
+        'pointer-events: none',
+        'box-sizing: border-box',
+      ].join(';');
+
+      const label = document.createElement('div');
+      label.style.cssText = [
+        'position: fixed',
+        'z-index: 2147483647',
+        'top: 16px',
+        'left: 50%',
+        'transform: translateX(-50%)',
+        'padding: 6px 12px',
+        'border-radius: 6px',
+        'background: rgba(0, 0, 0, 0.82)',
+        'color: #fff',
+        'font: 500 13px -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif',
+        'white-space: nowrap',
+        'pointer-events: none',
+      ].join(';');
+      label.textContent = hint;
+
+      let current = null;
+
+      function isPickerNode(node) {
+        return node === highlight || node === label;
+      }
+
+      function setCurrent(element) {
+        current = element;
+        if (!current) {
+          highlight.style.display = 'none';
+          label.textContent = hint;
+          return;
+        }
+
+        const rect = current.getBoundingClientRect();
+        highlight.style.display = 'block';
+        highlight.style.left = `${rect.left}px`;
+        highlight.style.top = `${rect.top}px`;
+        highlight.style.width = `${rect.width}px`;
+        highlight.style.height = `${rect.height}px`;
+        label.textContent = `${describeElement(current)} · ${Math.round(rect.width)} × ${Math.round(rect.height)}`;
+      }
+
+      function onMouseMove(e) {
+        const target = e.target;
+        if (!(target instanceof Element) || isPickerNode(target)) return;
+        const resolved = resolveTarget(target);
+        if (resolved !== current) {
+          setCurrent(resolved);
+        }
+      }
+
+      function swallow(e) {
+        e.preventDefault();
+        e.stopPropagation();
+      }
+
+      function onClick(e) {
+        swallow(e);
+        if (e.button !== 0 || !current) return;
+        finish(current);
+      }
+
+      function onKeyDown(e) {
+        if (e.key === 'Escape') {
+          swallow(e);
+          finish(null);
+        } else if (e.key === 'ArrowUp' && current) {
+          swallow(e);
+          let parent = current.parentElement;
+          while (parent && resolveTarget(parent) !== parent) {
+            parent = parent.parentElement;
+          }
+          if (parent && parent !== document.documentElement) {
+            setCurrent(parent);
+          }
+        } else if (e.key === 'Enter' && current) {
+          swallow(e);
+          finish(current);
+        }
+      }
+
+      function onScroll() {
+        setCurrent(current);
+      }
+
+      function finish(element) {
+        window.removeEventListener('mousemove', onMouseMove, true);
+        window.removeEventListener('mousedown', swallow, true);
+        window.removeEventListener('mouseup', swallow, true);
+        window.removeEventListener('click', onClick, true);
+        window.removeEventListener('keydown', onKeyDown, true);
+        window.removeEventListener('scroll', onScroll, true);
+        highlight.remove();
+        label.remove();
+        elementPicker = null;
+        resolve(element);
+      }
+
+      window.addEventListener('mousemove', onMouseMove, true);
+      window.addEventListener('mousedown', swallow, true);
+      window.addEventListener('mouseup', swallow, true);
+      window.addEventListener('click', onClick, true);
+      window.addEventListener('keydown', onKeyDown, true);
+      window.addEventListener('scroll', onScroll, true);
+
+      document.documentElement.appendChild(highlight);
+      document.documentElement.appendChild(label);
+      elementPicker = { finish };
+    });
+  }
+
+  function describeElement(element) {
+    let text = element.tagName.toLowerCase();
+    if (element.id) {
+      text += `#${element.id}`;
+    } else if (element.classList.length > 0) {
+      text += `.${Array.from(element.classList).slice(0, 2).join('.')}`;
+    }
+    return text;
+  }
+
+  // Returns [topLeft, topRight, bottomRight, bottomLeft] radii in CSS px.
+  // Elliptical radii use their horizontal component; percentages resolve
+  // against the element's width.
+  function readBorderRadii(element, rect) {
+    const style = window.getComputedStyle(element);
+    return [
+      style.borderTopLeftRadius,
+      style.borderTopRightRadius,
+      style.borderBottomRightRadius,
+      style.borderBottomLeftRadius,
+    ].map((value) => {
+      const first = String(value || '0').trim().split(/\s+/)[0];
+      const amount = parseFloat(first) || 0;
+      return first.endsWith('%') ? (amount / 100) * rect.width : amount;
+    });
+  }
+
   // --- Scrollbar management ---
 
   function hideScrollbar() {
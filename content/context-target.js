@@ -0,0 +1,12 @@
+// FullSnap Context Target - remembers the element under the last right-click for
+// the "Capture this element" menu entry. Declared in the manifest because the menu
+// opens before any capture script is injected; content/capture.js reads it from
+// the isolated world both scripts share.
+
+document.addEventListener(
+  'contextmenu',
+  (e) => {
+    window.__fullsnapContextTarget = e.target instanceof Element ? e.target : null;
+  },
+  true
+);
@@ -0,0 +1,38 @@
+// FullSnap Frame Probe - injected into every frame of the page being captured.
+// Answers the top frame's size probe (see measureEmbeddedFrames in content/capture.js)
+// with how tall this frame's document is, which the top frame cannot read itself
+// when the frame is cross-origin. The probe answers once and then removes itself;
+// each capture injects it again.
+
+(function () {
+  if (window === window.top || window.__fullsnap_frame_probe) return;
+  window.__fullsnap_frame_probe = true;
+
+  // The probe arrives right after injection; a frame that is never asked stops listening
+  const PROBE_LIFETIME_MS = 10000;
+  const lifetime = setTimeout(remove, PROBE_LIFETIME_MS);
+
+  function remove() {
+    clearTimeout(lifetime);
+    window.removeEventListener('message', onMessage);
+    delete window.__fullsnap_frame_probe;
+  }
+
+  function onMessage(e) {
+    const token = e.data && e.data.__fullsnapFrameProbe;
+    if (!token || e.source !== window.parent) return;
+
+    const root = document.scrollingElement || document.documentElement;
+    e.source.postMessage(
+      {
+        __fullsnapFrameSize: token,
+        scrollHeight: root.scrollHeight,
+        clientHeight: window.innerHeight,
+      },
+      '*'
+    );
+    remove();
+  }
+
+  window.addEventListener('message', onMessage);
+})();
@@ -4,24 +4,31 @@
 let canvas = null;
 let ctx = null;
 let canvasStrategy = null;
+let canvasFrame = null;
+let tileState = null;
 let resultDataUrl = null;
+// Frames may arrive while earlier ones are still decoding; they are drawn in order
+let stitchChain = Promise.resolve();
 
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   switch (message.action) {
     case MSG.PREPARE_CANVAS:
       try {
-        prepareCanvas(message.width, message.height, message.devicePixelRatio);
+        prepareCanvas(message.width, message.height, message.devicePixelRatio, message.frame);
         sendResponse({ ok: true });
       } catch (err) {
         sendResponse({ error: err.message });
       }
       break;
 
-    case MSG.STITCH_VIEWPORT:
-      stitchViewport(message)
-        .then(() => sendResponse({ ok: true }))
+    case MSG.STITCH_VIEWPORT: {
+      const stitched = stitchChain.then(() => stitchViewport(message));
+      stitchChain = stitched.catch(() => {});
+      stitched
+        .then((result) => sendResponse({ ok: true, ...result }))
         .catch((err) => sendResponse({ error: err.message }));
       return true;
+    }
 
     case MSG.GET_RESULT:
       getResult()
@@ -46,8 +53,9 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   }
 });
 
-function prepareCanvas(viewportWidth, totalHeight, dpr) {
+function prepareCanvas(viewportWidth, totalHeight, dpr, frame) {
   canvasStrategy = determineCanvasStrategy(viewportWidth, totalHeight, dpr);
+  canvasFrame = frame || null;
 
   canvas = document.createElement('canvas');
   canvas.width = canvasStrategy.canvasWidth;
@@ -61,14 +69,20 @@ function prepareCanvas(viewportWidth, totalHeight, dpr) {
   ctx.fillStyle = '#ffffff';
   ctx.fillRect(0, 0, canvas.width, canvas.height);
 
-  canvas._lastDrawnBottomY = 0;
+  tileState = {
+    rowY: null,
+    rowShift: 0,
+    rowTopLimit: -Infinity,
+    rowRight: -Infinity,
+    rowBottom: 0,
+  };
   resultDataUrl = null;
 }
 
 function determineCanvasStrategy(width, height, dpr) {
   const safeWidth = Math.max(1, Math.floor(width));
   const safeHeight = Math.max(1, Math.floor(height));
-  const safeDpr = Number.isFinite(dpr) ? Math.max(0.5, dpr) : 1;
+  const safeDpr = Number.isFinite(dpr) ? Math.max(CAPTURE_LIMITS.MIN_OUTPUT_SCALE, dpr) : 1;
 
   const physicalWidth = Math.round(safeWidth * safeDpr);
   const physicalHeight = Math.round(safeHeight * safeDpr);
@@ -98,63 +112,228 @@ async function stitchViewport(message) {
     throw new Error('Canvas not prepared before stitching');
   }
 
-  const { dataUrl, yOffset, viewportHeight, totalHeight, isFirst, isLast } = message;
+  const { dataUrl, viewportWidth, viewportHeight, isFirst } = message;
+  const xOffset = message.xOffset || 0;
+  const yOffset = message.yOffset || 0;
+  // The captured frame is the whole tab. The scrolled viewport (the window, or an
+  // inner container) occupies [sourceX, sourceY, viewportWidth, viewportHeight] of it.
+  const sourceX = message.sourceX || 0;
+  const sourceY = message.sourceY || 0;
+  const frameWidth = message.frameWidth || viewportWidth;
   const timeoutMs = Math.max(15000, CAPTURE_LIMITS.STITCH_IMAGE_TIMEOUT_MS || 60000);
   const img = await loadImageWithTimeout(dataUrl, timeoutMs);
 
   const canvasScale = canvasStrategy.scale;
-  const drawY = Math.round(yOffset * canvasScale);
+  // xOffset/yOffset place the viewport's top-left corner on the canvas (CSS px).
+  // They go negative when a region starts past the last reachable scroll position.
+  const drawX = Math.round(xOffset * canvasScale);
+  let drawY = Math.round(yOffset * canvasScale);
 
   // Use the captured image's actual pixel dimensions for accurate mapping.
   // The captured image comes from captureVisibleTab which returns at native DPR.
-  const srcW = img.naturalWidth;
-  const srcH = img.naturalHeight;
+  const imageScale = img.naturalWidth / frameWidth;
+  const srcX = Math.round(sourceX * imageScale);
+  const srcY = Math.round(sourceY * imageScale);
+  const srcW = Math.min(img.naturalWidth - srcX, Math.round(viewportWidth * imageScale));
+  const srcH = Math.min(img.naturalHeight - srcY, Math.round(viewportHeight * imageScale));
 
   // Destination dimensions: map the CSS viewport to our canvas coordinate system.
-  const drawWidth = canvas.width;
+  const drawWidth = Math.round(viewportWidth * canvasScale);
   const drawHeight = Math.round(viewportHeight * canvasScale);
 
-  // For overlapping last viewport, crop off the top portion that was already drawn
-  // by a previous viewport. This prevents the "seam line" where two viewports
-  // overlap with slightly different sub-pixel rendering.
-  let srcCropY = 0;      // How many source pixels to skip from top
-  let destCropY = drawY;  // Where to start drawing on canvas
-
-  if (!isFirst && yOffset > 0) {
-    // Check if this viewport overlaps with the region already stitched.
-    // The previous viewport covered up to (prevScrollY + viewportHeight).
-    // If yOffset < (prevScrollY + viewportHeight), we have overlap.
-    // We can detect overlap: the expected y without overlap would be drawY,
-    // but we only need to draw the NEW pixels that haven't been covered yet.
-    const expectedPosNoOverlap = drawY;  // Where this viewport starts in canvas space
-    const alreadyDrawnUpTo = canvas._lastDrawnBottomY || 0;
-
-    if (alreadyDrawnUpTo > expectedPosNoOverlap) {
-      // There IS overlap. Skip the overlapping top portion of this viewport.
-      const overlapPx = alreadyDrawnUpTo - expectedPosNoOverlap;  // in canvas pixels
-      // Convert canvas overlap pixels to source image pixels
-      srcCropY = Math.round((overlapPx / drawHeight) * srcH);
-      destCropY = alreadyDrawnUpTo;
+  // Tiles arrive row by row, left to right. Skip pixels already covered by the
+  // previous row (top) or the previous tile in this row (left). Overlapping tiles
+  // render with slightly different sub-pixel results, so redrawing them leaves a
+  // visible "seam line".
+  const rowStart = isFirst || message.isRowStart || tileState.rowY === null;
+  // Canvas rows the new frame overlaps: the previous row down to its bottom for the
+  // first tile of a row, and down to where this row starts for the tiles after it.
+  // The first row of a canvas has nothing above it.
+  let referenceBottom = -Infinity;
+  if (!isFirst && tileState.rowY !== null) {
+    referenceBottom = rowStart ? tileState.rowBottom : tileState.rowTopLimit;
+  }
+  // Later tiles sit on the row, which may already have been shifted
+  const frameY = rowStart ? drawY : drawY + tileState.rowShift;
+  const src = { x: srcX, y: srcY, width: srcW, height: srcH };
+  const checkTorn = message.checkTorn !== false;
+
+  // Rows planned with overlap let us check the new frame against what the previous
+  // row drew, and correct drift the reported scroll position did not account for.
+  let drift = { shift: 0, difference: null };
+  if (message.verifyOverlap && (rowStart || (message.allowRecapture && checkTorn))) {
+    drift = measureRowDrift(img, src, drawX, frameY, drawWidth, drawHeight, referenceBottom);
+  }
+
+  // Nothing is drawn yet, so the service worker can still recapture a bad frame
+  if (message.allowRecapture) {
+    const problem = inspectFrame(img, src, drawX, frameY, drawWidth, referenceBottom, drift, checkTorn);
+    if (problem) {
+      return { rejected: problem };
     }
   }
 
+  let overlapShift = 0;
+  if (rowStart) {
+    overlapShift = drift.shift;
+    tileState.rowTopLimit = isFirst ? -Infinity : tileState.rowBottom;
+    tileState.rowY = drawY;
+    tileState.rowShift = overlapShift;
+    tileState.rowRight = -Infinity;
+  }
+  drawY += tileState.rowShift;
+
+  const cropTop = Math.max(0, tileState.rowTopLimit - drawY);    // canvas pixels
+  const cropLeft = Math.max(0, tileState.rowRight - drawX);      // canvas pixels
+
+  // Convert canvas crop pixels to source image pixels
+  const srcCropY = Math.round((cropTop / drawHeight) * srcH);
+  const srcCropX = Math.round((cropLeft / drawWidth) * srcW);
+
+  const srcDrawW = srcW - srcCropX;
   const srcDrawH = srcH - srcCropY;
-  const destDrawH = drawHeight - (destCropY - drawY);
+  const destDrawW = drawWidth - cropLeft;
+  const destDrawH = drawHeight - cropTop;
 
   try {
-    if (srcDrawH > 0 && destDrawH > 0) {
+    if (srcDrawW > 0 && srcDrawH > 0 && destDrawW > 0 && destDrawH > 0) {
       ctx.drawImage(
         img,
-        0, srcCropY, srcW, srcDrawH,        // source: full width, cropped height
-        0, destCropY, drawWidth, destDrawH   // dest: full width, adjusted position
+        srcX + srcCropX, srcY + srcCropY, srcDrawW, srcDrawH,    // source: viewport band, cropped
+        drawX + cropLeft, drawY + cropTop, destDrawW, destDrawH  // dest: tile position, cropped
       );
     }
   } catch (err) {
     throw new Error(`Canvas drawing failed: ${err.message}`);
   }
 
-  // Track the bottom edge of what we've drawn so far
-  canvas._lastDrawnBottomY = destCropY + destDrawH;
+  // Track the edges of what we've drawn so far
+  tileState.rowRight = drawX + drawWidth;
+  tileState.rowBottom = Math.max(tileState.rowBottom, drawY + drawHeight);
+
+  return overlapShift ? { overlapShift: overlapShift / canvasScale } : {};
+}
+
+// Compares the top of a new frame with the previous row on the canvas, which ends at
+// `referenceBottom`. Returns the vertical shift (canvas px) that lines them up (0 when they
+// already match or the overlap is too featureless to tell) and the mean difference
+// at the best shift (null when the overlap is too small to compare).
+function measureRowDrift(img, src, drawX, drawY, drawWidth, drawHeight, referenceBottom) {
+  const unknown = { shift: 0, difference: null };
+  const search = Math.round(CAPTURE_LIMITS.DRIFT_SEARCH_PX * canvasStrategy.scale);
+  // Canvas rows compared for every candidate shift
+  const top = drawY + search;
+  const bottom = referenceBottom;
+  const left = Math.max(0, drawX);
+  const right = Math.min(canvas.width, drawX + drawWidth);
+
+  if (bottom - top < CAPTURE_LIMITS.DRIFT_MIN_ROWS || right - left <= 0) {
+    return unknown;
+  }
+
+  // The new frame at canvas scale, tall enough to cover the window at every shift
+  const band = document.createElement('canvas');
+  band.width = right - left;
+  band.height = Math.min(drawHeight, bottom - drawY + search);
+  const bandCtx = band.getContext('2d');
+  if (!bandCtx) {
+    return unknown;
+  }
+  bandCtx.drawImage(img, src.x, src.y, src.width, src.height, drawX - left, 0, drawWidth, drawHeight);
+
+  const width = band.width;
+  const rows = bottom - top;
+  const reference = ctx.getImageData(left, top, width, rows).data;
+  const candidate = bandCtx.getImageData(0, 0, width, band.height).data;
+
+  // Mean absolute green-channel difference over a sparse grid
+  const difference = (shift) => {
+    let total = 0;
+    let samples = 0;
+    for (let y = 0; y < rows; y += 2) {
+      const bandY = search + y - shift;
+      if (bandY < 0 || bandY >= band.height) {
+        continue;
+      }
+      for (let x = 0; x < width; x += 4) {
+        total += Math.abs(reference[(y * width + x) * 4 + 1] - candidate[(bandY * width + x) * 4 + 1]);
+        samples++;
+      }
+    }
+    return samples > 0 ? total / samples : Infinity;
+  };
+
+  const aligned = difference(0);
+  if (aligned <= CAPTURE_LIMITS.DRIFT_MATCH_TOLERANCE) {
+    return { shift: 0, difference: aligned };
+  }
+
+  let bestShift = 0;
+  let bestDifference = aligned;
+  for (let distance = 1; distance <= search; distance++) {
+    for (const shift of [-distance, distance]) {
+      const value = difference(shift);
+      if (value < bestDifference) {
+        bestShift = shift;
+        bestDifference = value;
+      }
+    }
+  }
+
+  if (bestDifference <= CAPTURE_LIMITS.DRIFT_MATCH_TOLERANCE && bestDifference < aligned / 2) {
+    return { shift: bestShift, difference: bestDifference };
+  }
+  return { shift: 0, difference: bestDifference };
+}
+
+// captureVisibleTab sometimes returns a frame before the page has painted it: all
+// white while a compositor layer loads, or half drawn. Returns 'blank' for a uniform
+// frame where the previous row shows content in the overlap, 'torn' for a frame whose
+// overlap does not match the previous row at any shift (unless `checkTorn` is off,
+// e.g. when a kept sticky header covers the overlap), or null when it looks fine.
+// With no overlap to compare, a uniform frame may just be a plain page: it passes.
+function inspectFrame(img, src, drawX, drawY, drawWidth, referenceBottom, drift, checkTorn) {
+  // A small copy of the frame is enough to tell whether it has any content
+  const sample = document.createElement('canvas');
+  sample.width = Math.max(1, Math.min(96, src.width));
+  sample.height = Math.max(1, Math.round(sample.width * (src.height / Math.max(1, src.width))));
+  const sampleCtx = sample.getContext('2d');
+  if (!sampleCtx) {
+    return null;
+  }
+  sampleCtx.drawImage(img, src.x, src.y, src.width, src.height, 0, 0, sample.width, sample.height);
+  const frameUniform = isUniform(sampleCtx.getImageData(0, 0, sample.width, sample.height).data);
+
+  if (frameUniform) {
+    const overlapTop = Math.max(0, drawY);
+    const overlapBottom = Math.min(canvas.height, referenceBottom);
+    const left = Math.max(0, drawX);
+    const right = Math.min(canvas.width, drawX + drawWidth);
+    const hasReference = overlapBottom - overlapTop >= CAPTURE_LIMITS.DRIFT_MIN_ROWS && right - left > 0;
+    if (hasReference && !isUniform(ctx.getImageData(left, overlapTop, right - left, overlapBottom - overlapTop).data)) {
+      return 'blank';
+    }
+  }
+  if (checkTorn && drift.difference !== null && drift.difference > CAPTURE_LIMITS.TORN_FRAME_TOLERANCE) {
+    return 'torn';
+  }
+  return null;
+}
+
+// Every fourth pixel within BLANK_FRAME_TOLERANCE of the first, per channel
+function isUniform(data) {
+  const tolerance = CAPTURE_LIMITS.BLANK_FRAME_TOLERANCE;
+  const [r, g, b] = [data[0], data[1], data[2]];
+  for (let i = 4; i < data.length; i += 16) {
+    if (
+      Math.abs(data[i] - r) > tolerance ||
+      Math.abs(data[i + 1] - g) > tolerance ||
+      Math.abs(data[i + 2] - b) > tolerance
+    ) {
+      return false;
+    }
+  }
+  return true;
 }
 
 async function getResult() {
@@ -182,14 +361,22 @@ async function storeCurrentSegment(message) {
     throw new Error('captureId and numeric segment index are required');
   }
 
-  const blob = await canvasToBlob(canvas, 'image/png');
+  const stitched = cropToUsedHeight(canvas, message.usedHeight);
+  const output = canvasFrame
+    ? applyElementFrame(stitched, {
+      ...canvasFrame,
+      roundTop: message.isFirstSegment,
+      roundBottom: message.isLastSegment,
+    })
+    : stitched;
+  const blob = await canvasToBlob(output, 'image/png');
 
   await CaptureStore.putCaptureSegment({
     captureId,
     index,
     blob,
-    width: canvas.width,
-    height: canvas.height,
+    width: output.width,
+    height: output.height,
     yStart: message.yStart || 0,
     yEnd: message.yEnd || canvas.height,
   });
@@ -197,11 +384,69 @@ async function storeCurrentSegment(message) {
   return {
     ok: true,
     index,
-    width: canvas.width,
-    height: canvas.height,
+    width: output.width,
+    height: output.height,
   };
 }
 
+// The segment canvas is sized with headroom for pages that grow mid-capture;
+// trim the rows that were never drawn into.
+function cropToUsedHeight(source, usedHeight) {
+  if (!Number.isFinite(usedHeight) || usedHeight <= 0) {
+    return source;
+  }
+
+  const height = Math.min(source.height, Math.round(usedHeight * canvasStrategy.scale));
+  if (height >= source.height) {
+    return source;
+  }
+
+  const output = document.createElement('canvas');
+  output.width = source.width;
+  output.height = height;
+
+  const outCtx = output.getContext('2d');
+  if (!outCtx) {
+    throw new Error('Failed to get 2D canvas context');
+  }
+  outCtx.drawImage(source, 0, 0);
+  return output;
+}
+
+// Element captures: surround the stitched pixels with a transparent margin and clear
+// everything outside the element's rounded corners. Only the first segment carries
+// the top edge and only the last carries the bottom edge.
+function applyElementFrame(source, frame) {
+  const scale = canvasStrategy.scale;
+  const pad = Math.round((frame.padding || 0) * scale);
+  const padTop = frame.roundTop ? pad : 0;
+  const padBottom = frame.roundBottom ? pad : 0;
+  const [tl, tr, br, bl] = (frame.radii || [0, 0, 0, 0]).map((r) => Math.max(0, r * scale));
+
+  const output = document.createElement('canvas');
+  output.width = source.width + pad * 2;
+  output.height = source.height + padTop + padBottom;
+
+  const outCtx = output.getContext('2d');
+  if (!outCtx) {
+    throw new Error('Failed to get 2D canvas context');
+  }
+
+  outCtx.save();
+  outCtx.beginPath();
+  outCtx.roundRect(pad, padTop, source.width, source.height, [
+    frame.roundTop ? tl : 0,
+    frame.roundTop ? tr : 0,
+    frame.roundBottom ? br : 0,
+    frame.roundBottom ? bl : 0,
+  ]);
+  outCtx.clip();
+  outCtx.drawImage(source, pad, padTop);
+  outCtx.restore();
+
+  return output;
+}
+
 function canvasToBlob(canvasEl, type) {
   return new Promise((resolve, reject) => {
     canvasEl.toBlob((blob) => {
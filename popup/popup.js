@@ -9,14 +9,43 @@ document.addEventListener('DOMContentLoaded', async () => {
   // Elements
   const btnFullPage = document.getElementById('btn-full-page');
   const btnVisible = document.getElementById('btn-visible');
+  const btnRegion = document.getElementById('btn-region');
+  const btnElement = document.getElementById('btn-element');
+  const btnBreakpoints = document.getElementById('btn-breakpoints');
+  const btnAllTabs = document.getElementById('btn-all-tabs');
+  const delaySeconds = document.getElementById('delay-seconds');
+  const delayCustom = document.getElementById('delay-custom');
+  const delayMode = document.getElementById('delay-mode');
+  const btnDelayed = document.getElementById('btn-delayed');
+  const breakpointsDesc = document.getElementById('breakpoints-desc');
   const btnSettings = document.getElementById('btn-settings');
+  const btnBatch = document.getElementById('btn-batch');
   const settingsPanel = document.getElementById('settings-panel');
   const settingFormat = document.getElementById('setting-format');
   const settingQuality = document.getElementById('setting-quality');
   const qualityValue = document.getElementById('quality-value');
   const jpegQualityRow = document.getElementById('jpeg-quality-row');
   const settingTheme = document.getElementById('setting-theme');
+  const settingOutputScale = document.getElementById('setting-output-scale');
+  const settingFitWidth = document.getElementById('setting-fit-width');
+  const settingWarmUp = document.getElementById('setting-warm-up');
+  const settingCaptureEngine = document.getElementById('setting-capture-engine');
+  const settingBreakpoints = document.getElementById('setting-breakpoints');
+  const settingScrollContainer = document.getElementById('setting-scroll-container');
+  const settingIframeContent = document.getElementById('setting-iframe-content');
+  const settingStickyHeader = document.getElementById('setting-sticky-header');
+  const settingStickyFooter = document.getElementById('setting-sticky-footer');
+  const settingElementPadding = document.getElementById('setting-element-padding');
+  const settingElementCorners = document.getElementById('setting-element-corners');
+  const settingCountdownOverlay = document.getElementById('setting-countdown-overlay');
+  const hideRulesEl = document.getElementById('hide-rules');
+  const hideRulesHost = document.getElementById('hide-rules-host');
+  const hideRulesList = document.getElementById('hide-rules-list');
+  const hideRulesForm = document.getElementById('hide-rules-form');
+  const hideRulesInput = document.getElementById('hide-rules-input');
+  const btnPickHide = document.getElementById('btn-pick-hide');
   const statusEl = document.getElementById('status');
+  const btnCancel = document.getElementById('btn-cancel');
 
   // Load settings
   const stored = await chrome.storage.local.get(STORAGE_KEYS.SETTINGS);
@@ -27,14 +56,76 @@ document.addEventListener('DOMContentLoaded', async () => {
   settingQuality.value = settings.jpegQuality || 90;
   qualityValue.textContent = (settings.jpegQuality || 90) + '%';
   settingTheme.value = settings.theme || 'system';
+  settingOutputScale.value = settings.outputScale || DEFAULTS.outputScale;
+  settingFitWidth.value = String(settings.outputFitWidth || DEFAULTS.outputFitWidth);
+  settingFitWidth.classList.toggle('hidden', settingOutputScale.value !== 'fit');
+  settingWarmUp.value = (settings.warmUp ?? DEFAULTS.warmUp) ? 'on' : 'off';
+  settingCaptureEngine.value = settings.captureEngine || DEFAULTS.captureEngine;
+  settingBreakpoints.value = (settings.breakpointWidths || DEFAULTS.breakpointWidths).join(', ');
+  updateBreakpointsDesc();
+  settingScrollContainer.value = settings.scrollContainer || DEFAULTS.scrollContainer;
+  settingIframeContent.value = settings.iframeContent || DEFAULTS.iframeContent;
+  settingStickyHeader.value = settings.stickyHeader || DEFAULTS.stickyHeader;
+  settingStickyFooter.value = settings.stickyFooter || DEFAULTS.stickyFooter;
+  settingElementPadding.value = String(settings.elementPadding ?? DEFAULTS.elementPadding);
+  settingElementCorners.value = (settings.elementTransparentCorners ?? DEFAULTS.elementTransparentCorners)
+    ? 'transparent'
+    : 'square';
+  settingCountdownOverlay.value = (settings.delayedCaptureOverlay ?? DEFAULTS.delayedCaptureOverlay) ? 'on' : 'off';
   jpegQualityRow.style.display = settings.format === 'jpeg' ? 'flex' : 'none';
 
+  const savedDelay = settings.delayedCaptureSeconds || DEFAULTS.delayedCaptureSeconds;
+  const presetDelay = [...delaySeconds.options].some((option) => option.value === String(savedDelay));
+  delaySeconds.value = presetDelay ? String(savedDelay) : 'custom';
+  delayCustom.value = String(savedDelay);
+  delayCustom.max = String(CAPTURE_LIMITS.MAX_CAPTURE_DELAY_S);
+  delayCustom.classList.toggle('hidden', presetDelay);
+  delayMode.value = settings.delayedCaptureMode || DEFAULTS.delayedCaptureMode;
+
   // Apply theme
   applyTheme(settings.theme || 'system');
 
   // Capture buttons
   btnFullPage.addEventListener('click', () => startCapture('full'));
   btnVisible.addEventListener('click', () => startCapture('visible'));
+  btnRegion.addEventListener('click', () => startSelectionCapture(MSG.CAPTURE_REGION));
+  btnElement.addEventListener('click', () => startSelectionCapture(MSG.CAPTURE_ELEMENT));
+
+  // Widths are emulated through the debugger; ask for it while the click is a user gesture
+  btnBreakpoints.addEventListener('click', async () => {
+    const granted = await chrome.permissions.request({ permissions: ['debugger'] }).catch(() => false);
+    if (!granted) {
+      showStatus('Responsive capture needs debugger access', 'error');
+      return;
+    }
+    startSelectionCapture(MSG.CAPTURE_BREAKPOINTS);
+  });
+
+  // Switches between tabs while it runs, which would close the popup anyway
+  btnAllTabs.addEventListener('click', () => startSelectionCapture(MSG.CAPTURE_ALL_TABS));
+
+  delaySeconds.addEventListener('change', () => {
+    const custom = delaySeconds.value === 'custom';
+    delayCustom.classList.toggle('hidden', !custom);
+    if (custom) delayCustom.focus();
+  });
+
+  // The popup closes so the page can be hovered during the countdown; the
+  // keyboard command reuses the delay and mode chosen here
+  btnDelayed.addEventListener('click', async () => {
+    const value = delaySeconds.value === 'custom' ? delayCustom.value : delaySeconds.value;
+    const seconds = parseInt(value, 10);
+    if (!(seconds >= 1 && seconds <= CAPTURE_LIMITS.MAX_CAPTURE_DELAY_S)) {
+      showStatus(`Choose a delay from 1 to ${CAPTURE_LIMITS.MAX_CAPTURE_DELAY_S} seconds`, 'error');
+      return;
+    }
+
+    settings.delayedCaptureSeconds = seconds;
+    settings.delayedCaptureMode = delayMode.value;
+    await saveSettings(settings);
+    chrome.runtime.sendMessage({ action: MSG.CAPTURE_DELAYED, windowId, seconds, mode: delayMode.value }).catch(() => {});
+    window.close();
+  });
 
   // Settings toggle
   btnSettings.addEventListener('click', () => {
@@ -54,20 +145,165 @@ document.addEventListener('DOMContentLoaded', async () => {
     saveSettings(settings);
   });
 
+  settingOutputScale.addEventListener('change', () => {
+    settings.outputScale = settingOutputScale.value;
+    settingFitWidth.classList.toggle('hidden', settings.outputScale !== 'fit');
+    saveSettings(settings);
+  });
+
+  settingFitWidth.addEventListener('change', () => {
+    const width = parseInt(settingFitWidth.value, 10);
+    settings.outputFitWidth = width >= 100 && width <= CAPTURE_LIMITS.MAX_CANVAS_DIMENSION ? width : DEFAULTS.outputFitWidth;
+    settingFitWidth.value = String(settings.outputFitWidth);
+    saveSettings(settings);
+  });
+
+  settingWarmUp.addEventListener('change', () => {
+    settings.warmUp = settingWarmUp.value === 'on';
+    saveSettings(settings);
+  });
+
+  // The DevTools protocol engine needs the optional "debugger" permission, asked
+  // for here while the change still counts as a user gesture
+  settingCaptureEngine.addEventListener('change', async () => {
+    if (settingCaptureEngine.value === 'cdp') {
+      const granted = await chrome.permissions.request({ permissions: ['debugger'] }).catch(() => false);
+      if (!granted) {
+        settingCaptureEngine.value = 'scroll';
+        showStatus('The DevTools protocol engine needs debugger access', 'error');
+      }
+    }
+    settings.captureEngine = settingCaptureEngine.value;
+    saveSettings(settings);
+  });
+
+  settingBreakpoints.addEventListener('change', () => {
+    const widths = settingBreakpoints.value
+      .split(/[\s,]+/)
+      .map((value) => parseInt(value, 10))
+      .filter((width) => width >= CAPTURE_LIMITS.BREAKPOINT_MIN_WIDTH && width <= CAPTURE_LIMITS.BREAKPOINT_MAX_WIDTH);
+    settings.breakpointWidths = widths.length > 0 ? [...new Set(widths)].sort((a, b) => a - b) : [...DEFAULTS.breakpointWidths];
+    settingBreakpoints.value = settings.breakpointWidths.join(', ');
+    updateBreakpointsDesc();
+    saveSettings(settings);
+  });
+
+  settingScrollContainer.addEventListener('change', () => {
+    settings.scrollContainer = settingScrollContainer.value;
+    saveSettings(settings);
+  });
+
+  settingIframeContent.addEventListener('change', () => {
+    settings.iframeContent = settingIframeContent.value;
+    saveSettings(settings);
+  });
+
+  settingStickyHeader.addEventListener('change', () => {
+    settings.stickyHeader = settingStickyHeader.value;
+    saveSettings(settings);
+  });
+
+  settingStickyFooter.addEventListener('change', () => {
+    settings.stickyFooter = settingStickyFooter.value;
+    saveSettings(settings);
+  });
+
+  settingElementPadding.addEventListener('change', () => {
+    settings.elementPadding = parseInt(settingElementPadding.value, 10) || 0;
+    saveSettings(settings);
+  });
+
+  settingElementCorners.addEventListener('change', () => {
+    settings.elementTransparentCorners = settingElementCorners.value === 'transparent';
+    saveSettings(settings);
+  });
+
+  settingCountdownOverlay.addEventListener('change', () => {
+    settings.delayedCaptureOverlay = settingCountdownOverlay.value === 'on';
+    saveSettings(settings);
+  });
+
   settingTheme.addEventListener('change', () => {
     settings.theme = settingTheme.value;
     applyTheme(settings.theme);
     saveSettings(settings);
   });
 
+  // Every request names this popup's window, so captures in other windows stay apart
+  const windowId = (await chrome.windows.getCurrent()).id;
+
+  btnBatch.addEventListener('click', () => {
+    chrome.tabs.create({ url: chrome.runtime.getURL('batch/batch.html'), windowId });
+    window.close();
+  });
+
+  // Per-site hide rules for the active tab
+  const [activeTab] = await chrome.tabs.query({ active: true, windowId });
+  const activeUrl = activeTab?.url || '';
+  const activeHost = HideRules.hostKey(activeUrl);
+
+  if (activeHost && /^https?:/.test(activeUrl)) {
+    hideRulesHost.textContent = activeHost;
+    renderHideRules(await HideRules.getSelectors(activeUrl));
+  } else {
+    hideRulesEl.classList.add('disabled');
+  }
+
+  hideRulesForm.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const selector = hideRulesInput.value.trim();
+    if (!selector) return;
+
+    try {
+      document.createDocumentFragment().querySelector(selector);
+    } catch (err) {
+      showStatus(`Invalid selector: ${selector}`, 'error');
+      return;
+    }
+
+    renderHideRules(await HideRules.addSelector(activeUrl, selector));
+    hideRulesInput.value = '';
+    statusEl.className = 'status hidden';
+  });
+
+  // The pick happens on the page, which closes the popup; the service worker saves the rule
+  btnPickHide.addEventListener('click', () => {
+    chrome.runtime.sendMessage({ action: MSG.PICK_HIDE_RULE, windowId }).catch(() => {});
+    window.close();
+  });
+
   // Listen for progress updates
   chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
-    if (message.action === MSG.CAPTURE_PROGRESS) {
+    if (message.action === MSG.CAPTURE_PROGRESS && message.windowId === windowId) {
       const progress = Math.round(message.progress * 100);
-      showStatus(`Capturing... ${progress}%`, 'capturing');
+      const part = message.total > 1 ? ` (part ${message.current} of ${message.total})` : '';
+      showStatus(`Capturing... ${progress}%${part}`, 'capturing');
+      btnCancel.classList.remove('hidden');
     }
   });
 
+  // Reopening the popup mid-capture (e.g. from the badge) offers a way to stop it
+  const captureStatus = await getCaptureStatus();
+  if (captureStatus?.active) {
+    showStatus(`Capturing... ${Math.round((captureStatus.progress || 0) * 100)}%`, 'capturing');
+    btnCancel.classList.remove('hidden');
+  } else if (captureStatus?.selecting) {
+    showStatus('Waiting for a selection on the page...', 'capturing');
+    btnCancel.classList.remove('hidden');
+  } else if (captureStatus?.countingDown) {
+    showStatus('Delayed capture counting down...', 'capturing');
+    btnCancel.classList.remove('hidden');
+  } else if (captureStatus?.queued) {
+    showStatus(`Queued (${captureStatus.queued} waiting)`, 'capturing');
+    btnCancel.classList.remove('hidden');
+  }
+
+  btnCancel.addEventListener('click', async () => {
+    btnCancel.disabled = true;
+    await chrome.runtime.sendMessage({ action: MSG.CANCEL_CAPTURE, windowId }).catch(() => {});
+    showStatus('Cancelling...', 'capturing');
+  });
+
   async function startCapture(mode) {
     // Disable buttons during capture
     btnFullPage.disabled = true;
@@ -75,11 +311,21 @@ document.addEventListener('DOMContentLoaded', async () => {
     showStatus('Starting capture...', 'capturing');
 
     try {
+      const action = mode === 'full' ? MSG.CAPTURE_FULL_PAGE : MSG.CAPTURE_VISIBLE;
+
+      // Another capture is running: this one waits its turn in the service worker,
+      // which opens the viewer when it is done, so there is nothing to wait for here.
+      const status = await getCaptureStatus();
+      if (status?.active || status?.busyElsewhere || status?.queued) {
+        chrome.runtime.sendMessage({ action, windowId }).catch(() => {});
+        showStatus('Queued — starts when the current capture finishes', 'capturing');
+        setTimeout(() => window.close(), 1200);
+        return;
+      }
+
       const TIMEOUT_MS = mode === 'full' ? 60000 : 30000; // 60s for full, 30s for visible
 
-      const messagePromise = chrome.runtime.sendMessage({
-        action: mode === 'full' ? MSG.CAPTURE_FULL_PAGE : MSG.CAPTURE_VISIBLE,
-      });
+      const messagePromise = chrome.runtime.sendMessage({ action, windowId });
 
       const timeoutPromise = new Promise((_, reject) =>
         setTimeout(() => reject(new Error('Capture timeout - please try again')), TIMEOUT_MS)
@@ -89,6 +335,13 @@ document.addEventListener('DOMContentLoaded', async () => {
 
       if (response && response.error) {
         showStatus(response.error, 'error');
+        btnCancel.classList.add('hidden');
+        btnFullPage.disabled = false;
+        btnVisible.disabled = false;
+      } else if (response && response.cancelled) {
+        showStatus('Capture cancelled', 'success');
+        btnCancel.classList.add('hidden');
+        btnCancel.disabled = false;
         btnFullPage.disabled = false;
         btnVisible.disabled = false;
       } else {
@@ -102,6 +355,42 @@ document.addEventListener('DOMContentLoaded', async () => {
     }
   }
 
+  // Region and element selection happen on the page itself, and clicking the page
+  // closes the popup anyway, so hand off to the service worker and close right away.
+  function startSelectionCapture(action) {
+    chrome.runtime.sendMessage({ action, windowId }).catch(() => {});
+    window.close();
+  }
+
+  function updateBreakpointsDesc() {
+    const widths = settings.breakpointWidths || DEFAULTS.breakpointWidths;
+    breakpointsDesc.textContent = `Full page at ${widths.join(' · ')}px`;
+  }
+
+  function getCaptureStatus() {
+    return chrome.runtime.sendMessage({ action: MSG.GET_CAPTURE_STATUS, windowId }).catch(() => null);
+  }
+
+  function renderHideRules(selectors) {
+    hideRulesList.textContent = '';
+    for (const selector of selectors) {
+      const item = document.createElement('li');
+      const text = document.createElement('span');
+      text.textContent = selector;
+      text.title = selector;
+
+      const remove = document.createElement('button');
+      remove.textContent = '×';
+      remove.title = 'Remove rule';
+      remove.addEventListener('click', async () => {
+        renderHideRules(await HideRules.removeSelector(activeUrl, selector));
+      });
+
+      item.append(text, remove);
+      hideRulesList.appendChild(item);
+    }
+  }
+
   function showStatus(message, type) {
     statusEl.textContent = message;
     statusEl.className = 'status ' + type;
@@ -1,11 +1,15 @@
 (function (global) {
   const DB_NAME = 'fullsnap_capture_db';
-  const DB_VERSION = 1;
+  const DB_VERSION = 3;
 
   const STORES = {
     captures: 'captures',
     segments: 'segments',
     state: 'state',
+    // In-flight capture jobs, so a capture can resume after the service worker restarts
+    jobs: 'jobs',
+    // Named groups of captures taken in one run (breakpoints, tabs, URL lists)
+    sets: 'sets',
   };
 
   const STATE_KEYS = {
@@ -35,6 +39,14 @@
         if (!db.objectStoreNames.contains(STORES.state)) {
           db.createObjectStore(STORES.state, { keyPath: 'key' });
         }
+
+        if (!db.objectStoreNames.contains(STORES.jobs)) {
+          db.createObjectStore(STORES.jobs, { keyPath: 'captureId' });
+        }
+
+        if (!db.objectStoreNames.contains(STORES.sets)) {
+          db.createObjectStore(STORES.sets, { keyPath: 'setId' });
+        }
       };
 
       req.onsuccess = () => resolve(req.result);
@@ -97,6 +109,92 @@
     return (rows || []).sort((a, b) => a.index - b.index);
   }
 
+  async function putCaptureJob(job) {
+    if (!job || !job.captureId) throw new Error('putCaptureJob requires captureId');
+    const db = await openDb();
+    const tx = db.transaction(STORES.jobs, 'readwrite');
+    tx.objectStore(STORES.jobs).put(job);
+    return new Promise((resolve, reject) => {
+      tx.oncomplete = () => resolve(job);
+      tx.onerror = () => reject(tx.error || new Error('Failed to write capture job'));
+      tx.onabort = () => reject(tx.error || new Error('Capture job transaction aborted'));
+    });
+  }
+
+  async function listCaptureJobs() {
+    const db = await openDb();
+    const tx = db.transaction(STORES.jobs, 'readonly');
+    const rows = await requestAsPromise(tx.objectStore(STORES.jobs).getAll());
+    return (rows || []).sort((a, b) => a.createdAt - b.createdAt);
+  }
+
+  async function deleteCaptureJob(captureId) {
+    const db = await openDb();
+    const tx = db.transaction(STORES.jobs, 'readwrite');
+    tx.objectStore(STORES.jobs).delete(captureId);
+    return new Promise((resolve, reject) => {
+      tx.oncomplete = () => resolve(true);
+      tx.onerror = () => reject(tx.error || new Error('Failed to delete capture job'));
+      tx.onabort = () => reject(tx.error || new Error('Delete capture job transaction aborted'));
+    });
+  }
+
+  async function putCaptureSet(set) {
+    if (!set || !set.setId) throw new Error('putCaptureSet requires setId');
+    const db = await openDb();
+    const tx = db.transaction(STORES.sets, 'readwrite');
+    tx.objectStore(STORES.sets).put(set);
+    return new Promise((resolve, reject) => {
+      tx.oncomplete = () => resolve(set);
+      tx.onerror = () => reject(tx.error || new Error('Failed to write capture set'));
+      tx.onabort = () => reject(tx.error || new Error('Capture set transaction aborted'));
+    });
+  }
+
+  async function getCaptureSet(setId) {
+    const db = await openDb();
+    const tx = db.transaction(STORES.sets, 'readonly');
+    return requestAsPromise(tx.objectStore(STORES.sets).get(setId));
+  }
+
+  async function listCaptureSets() {
+    const db = await openDb();
+    const tx = db.transaction(STORES.sets, 'readonly');
+    const rows = await requestAsPromise(tx.objectStore(STORES.sets).getAll());
+    return (rows || []).sort((a, b) => b.createdAt - a.createdAt);
+  }
+
+  // Appends in a single transaction, so captures finishing close together are not lost
+  async function addCaptureToSet(setId, captureId) {
+    const db = await openDb();
+    const tx = db.transaction(STORES.sets, 'readwrite');
+    const store = tx.objectStore(STORES.sets);
+    const req = store.get(setId);
+    req.onsuccess = () => {
+      const set = req.result;
+      if (set && !set.captureIds.includes(captureId)) {
+        set.captureIds.push(captureId);
+        store.put(set);
+      }
+    };
+    return new Promise((resolve, reject) => {
+      tx.oncomplete = () => resolve(req.result || null);
+      tx.onerror = () => reject(tx.error || new Error('Failed to update capture set'));
+      tx.onabort = () => reject(tx.error || new Error('Capture set transaction aborted'));
+    });
+  }
+
+  async function deleteCaptureSet(setId) {
+    const db = await openDb();
+    const tx = db.transaction(STORES.sets, 'readwrite');
+    tx.objectStore(STORES.sets).delete(setId);
+    return new Promise((resolve, reject) => {
+      tx.oncomplete = () => resolve(true);
+      tx.onerror = () => reject(tx.error || new Error('Failed to delete capture set'));
+      tx.onabort = () => reject(tx.error || new Error('Delete capture set transaction aborted'));
+    });
+  }
+
   async function setPendingCaptureId(captureId) {
     const db = await openDb();
     const tx = db.transaction(STORES.state, 'readwrite');
@@ -130,12 +228,13 @@
         }
       };
 
-      const tx = db.transaction([STORES.captures, STORES.segments, STORES.state], 'readwrite');
+      const tx = db.transaction([STORES.captures, STORES.segments, STORES.state, STORES.jobs], 'readwrite');
       const captures = tx.objectStore(STORES.captures);
       const segments = tx.objectStore(STORES.segments);
       const state = tx.objectStore(STORES.state);
 
       captures.delete(captureId);
+      tx.objectStore(STORES.jobs).delete(captureId);
 
       const cursorReq = segments.index('captureId').openCursor(IDBKeyRange.only(captureId));
       cursorReq.onsuccess = () => {
@@ -172,6 +271,14 @@
     putCaptureSegment,
     getCaptureSegment,
     listCaptureSegments,
+    putCaptureJob,
+    listCaptureJobs,
+    deleteCaptureJob,
+    putCaptureSet,
+    getCaptureSet,
+    listCaptureSets,
+    addCaptureToSet,
+    deleteCaptureSet,
     setPendingCaptureId,
     getPendingCaptureId,
     deleteCapture,
@@ -3,10 +3,32 @@ const MSG = {
   // Popup -> Service Worker
   CAPTURE_FULL_PAGE: 'CAPTURE_FULL_PAGE',
   CAPTURE_VISIBLE: 'CAPTURE_VISIBLE',
+  CAPTURE_REGION: 'CAPTURE_REGION',
+  CAPTURE_ELEMENT: 'CAPTURE_ELEMENT',
+  CAPTURE_BREAKPOINTS: 'CAPTURE_BREAKPOINTS',
+  CAPTURE_ALL_TABS: 'CAPTURE_ALL_TABS',
+  CAPTURE_DELAYED: 'CAPTURE_DELAYED',
+  PICK_HIDE_RULE: 'PICK_HIDE_RULE',
+  CANCEL_CAPTURE: 'CANCEL_CAPTURE', // Also sent by the content script overlay
+  GET_CAPTURE_STATUS: 'GET_CAPTURE_STATUS',
+
+  // Batch page -> Service Worker
+  CAPTURE_URL_LIST: 'CAPTURE_URL_LIST',
+  CANCEL_BATCH: 'CANCEL_BATCH',
+  RUN_SCHEDULE: 'RUN_SCHEDULE',
+
+  // Service Worker -> Batch page
+  BATCH_PROGRESS: 'BATCH_PROGRESS',
 
   // Service Worker -> Content Script
   START_CAPTURE: 'START_CAPTURE',
+  SELECT_REGION: 'SELECT_REGION',
+  PICK_ELEMENT: 'PICK_ELEMENT',
+  PICK_HIDE_ELEMENT: 'PICK_HIDE_ELEMENT',
+  HIDE_RULE_ADDED: 'HIDE_RULE_ADDED',
+  WARM_UP: 'WARM_UP',
   SCROLL_TO: 'SCROLL_TO',
+  HIDE_OVERLAY: 'HIDE_OVERLAY',
   CLEANUP: 'CLEANUP',
 
   // Content Script -> Service Worker
@@ -32,6 +54,8 @@ const MSG = {
   GET_PENDING_CAPTURE: 'GET_PENDING_CAPTURE',
   GET_CAPTURE_META: 'GET_CAPTURE_META',
   GET_CAPTURE_SEGMENT: 'GET_CAPTURE_SEGMENT',
+  GET_CAPTURE_SET: 'GET_CAPTURE_SET',
+  RENAME_CAPTURE_SET: 'RENAME_CAPTURE_SET',
   DELETE_CAPTURE: 'DELETE_CAPTURE',
 };
 
@@ -42,7 +66,21 @@ const DEFAULTS = {
   theme: 'system',
   captureDelay: 100, // Delay after scroll before capture (ms)
   maxRetries: 5,
-  captureThrottleMs: 550, // Min time between captureVisibleTab calls (Chrome limit: 2/sec)
+  warmUp: false, // Scroll the page once before capturing so lazy content loads
+  scrollContainer: 'auto', // 'auto' | 'page' | 'pick' — what full-page capture scrolls
+  elementPadding: 0, // Transparent margin (CSS px) around element captures
+  elementTransparentCorners: true, // Clear the area outside an element's border-radius
+  stickyHeader: 'once', // 'once' | 'hide' | 'keep' — fixed/sticky headers: top frame only, never, every frame
+  stickyFooter: 'once', // 'once' | 'hide' | 'keep' — fixed/sticky footers: bottom frame only, never, every frame
+  captureEngine: 'scroll', // 'scroll' (captureVisibleTab per viewport) | 'cdp' (DevTools protocol screenshots)
+  breakpointWidths: [375, 768, 1280, 1920], // Viewport widths (CSS px) for responsive captures
+  batchSettleMs: 2000, // Extra wait after a URL-list page has loaded, for late scripts and fonts
+  delayedCaptureSeconds: 5, // Countdown before a delayed capture
+  delayedCaptureMode: 'visible', // 'visible' | 'full' — what a delayed capture takes
+  delayedCaptureOverlay: true, // Show the countdown on the page as well as in the badge
+  outputScale: 'native', // 'native' | '1x' | '2x' | 'fit' — image pixels per CSS pixel
+  outputFitWidth: 1280, // Output width (px) for the 'fit' output scale
+  iframeContent: 'visible', // 'visible' | 'expand' — embedded frames that scroll: as shown, or at full height
 };
 
 // Storage keys
@@ -50,12 +88,47 @@ const STORAGE_KEYS = {
   SETTINGS: 'fullsnap_settings',
   SCREENSHOT_META: 'screenshotMeta',
   PENDING_CAPTURE_ID: 'pendingCaptureId',
+  HIDE_RULES: 'fullsnap_hide_rules',
+  SCHEDULES: 'fullsnap_schedules',
 };
 
 // Capture limits tuned to avoid blank/white results on long pages.
 const CAPTURE_LIMITS = {
   MAX_CANVAS_DIMENSION: 16384,
   MAX_CANVAS_AREA: 100000000,
-  STITCH_CONCURRENCY: 1,
+  STITCH_CONCURRENCY: 2, // Unchecked frames being stitched while the next one is captured
   STITCH_IMAGE_TIMEOUT_MS: 60000,
+  CAPTURE_INTERVAL_START_MS: 550, // First gap between captureVisibleTab calls
+  CAPTURE_INTERVAL_MIN_MS: 550, // Shortest gap: the documented limit (2/sec) plus a margin for timer jitter
+  CAPTURE_INTERVAL_MAX_MS: 3000, // Longest gap it backs off to
+  CAPTURE_RATE_STREAK: 8, // Accepted calls in a row before a shorter gap is tried
+  SELECTION_TIMEOUT_MS: 300000, // How long the user may take to drag a region
+  MIN_SELECTION_SIZE: 8, // Smaller drags are treated as accidental clicks
+  MIN_HORIZONTAL_OVERFLOW: 4, // Ignore sub-4px horizontal overflow (rounding noise)
+  WARM_UP_MAX_MS: 20000, // Upper bound for the lazy-load warm-up pass
+  WARM_UP_STEP_WAIT_MS: 1500, // Max wait for pending images per warm-up scroll step
+  NETWORK_QUIET_MS: 500, // No new resource loads for this long = network is quiet
+  VERIFY_OVERLAP_PX: 32, // Rows overlap by this much so the stitcher can verify alignment
+  DRIFT_SEARCH_PX: 12, // Largest vertical correction the overlap check will apply
+  DRIFT_MIN_ROWS: 8, // Canvas rows needed in the overlap before it is compared
+  DRIFT_MATCH_TOLERANCE: 6, // Mean per-pixel difference (0-255) that still counts as a match
+  TORN_FRAME_TOLERANCE: 40, // Overlap difference above which a frame is treated as half-painted
+  BLANK_FRAME_TOLERANCE: 3, // Per-channel spread (0-255) of a frame that counts as uniformly blank
+  FRAME_RECAPTURE_MAX: 2, // Recaptures of one position before its frame is accepted as it is
+  FRAME_RECAPTURE_BUDGET: 8, // Recaptures allowed over a whole capture
+  FRAME_RECAPTURE_WAIT_MS: 250, // Extra paint time per recapture attempt
+  WATCHDOG_PERIOD_MIN: 0.5, // Alarm that wakes a terminated worker to resume its capture
+  CDP_TILE_MAX_PX: 4096, // Tallest single DevTools protocol screenshot (device px)
+  BREAKPOINT_SETTLE_MS: 800, // Time for the page to re-lay out at an emulated width
+  MOBILE_MAX_WIDTH: 600, // Emulated widths up to this are rendered as a mobile device
+  BREAKPOINT_MIN_WIDTH: 200, // Narrowest breakpoint width (CSS px)
+  BREAKPOINT_MAX_WIDTH: 4096, // Widest breakpoint width (CSS px)
+  TAB_LOAD_TIMEOUT_MS: 30000, // Longest wait for a discarded or loading tab before capturing it
+  SCHEDULE_MIN_INTERVAL_MIN: 5, // Shortest "every N minutes" schedule
+  SCHEDULE_CATCH_UP_DELAY_MS: 60000, // A run missed while the browser was closed happens this long after startup
+  MAX_CAPTURE_DELAY_S: 60, // Longest countdown for a delayed capture
+  FRAME_PROBE_TIMEOUT_MS: 400, // How long the page waits for embedded frames to report their size
+  MIN_FRAME_OVERFLOW: 4, // Embedded documents taller than their frame by less than this do not scroll
+  MAX_FRAME_EXPAND_PX: 30000, // Tallest an embedded frame is expanded to (CSS px)
+  MIN_OUTPUT_SCALE: 0.1, // Smallest image-pixels-per-CSS-pixel a capture is scaled down to
 };
@@ -0,0 +1,63 @@
+// Per-site hide rules: CSS selectors hidden while a page is captured.
+// Stored in chrome.storage.local as { [host]: [selector, ...] }.
+(function (global) {
+  // "www.example.com" and "example.com" share one rule list
+  function hostKey(url) {
+    try {
+      return new URL(url).hostname.replace(/^www\./, '');
+    } catch (err) {
+      return '';
+    }
+  }
+
+  async function readAll() {
+    const stored = await chrome.storage.local.get(STORAGE_KEYS.HIDE_RULES);
+    return stored[STORAGE_KEYS.HIDE_RULES] || {};
+  }
+
+  async function writeHost(host, selectors) {
+    const rules = await readAll();
+    if (selectors.length > 0) {
+      rules[host] = selectors;
+    } else {
+      delete rules[host];
+    }
+    await chrome.storage.local.set({ [STORAGE_KEYS.HIDE_RULES]: rules });
+    return selectors;
+  }
+
+  async function getSelectors(url) {
+    const host = hostKey(url);
+    if (!host) return [];
+    const rules = await readAll();
+    return rules[host] || [];
+  }
+
+  async function addSelector(url, selector) {
+    const host = hostKey(url);
+    const value = String(selector || '').trim();
+    if (!host) throw new Error('Hide rules need a web page address');
+    if (!value) throw new Error('Selector is empty');
+
+    const selectors = await getSelectors(url);
+    if (selectors.includes(value)) return selectors;
+    return writeHost(host, [...selectors, value]);
+  }
+
+  async function removeSelector(url, selector) {
+    const host = hostKey(url);
+    if (!host) return [];
+
+    const selectors = await getSelectors(url);
+    return writeHost(host, selectors.filter((s) => s !== selector));
+  }
+
+  const HideRules = {
+    hostKey,
+    getSelectors,
+    addSelector,
+    removeSelector,
+  };
+
+  global.HideRules = HideRules;
+})(typeof self !== 'undefined' ? self : window);
@@ -0,0 +1,121 @@
+// Scheduled captures: a URL captured at a fixed frequency into its own capture set.
+// Stored in chrome.storage.local as [{ id, name, url, frequency, time, everyMinutes,
+// retention, enabled, setId, createdAt, lastRunAt, lastResult }]. The service worker
+// keeps one chrome.alarms alarm per enabled schedule.
+(function (global) {
+  const ALARM_PREFIX = 'fullsnap-schedule:';
+  const FREQUENCIES = ['hourly', 'daily', 'interval'];
+
+  async function list() {
+    const stored = await chrome.storage.local.get(STORAGE_KEYS.SCHEDULES);
+    return stored[STORAGE_KEYS.SCHEDULES] || [];
+  }
+
+  async function get(id) {
+    return (await list()).find((schedule) => schedule.id === id) || null;
+  }
+
+  async function writeAll(schedules) {
+    await chrome.storage.local.set({ [STORAGE_KEYS.SCHEDULES]: schedules });
+    return schedules;
+  }
+
+  function validate(schedule) {
+    if (!String(schedule.name || '').trim()) throw new Error('Give the schedule a name');
+    if (!/^https?:\/\//i.test(schedule.url || '')) throw new Error('Scheduled URLs must start with http:// or https://');
+    if (!FREQUENCIES.includes(schedule.frequency)) throw new Error('Unknown frequency');
+    if (schedule.frequency === 'daily' && !/^\d{1,2}:\d{2}$/.test(schedule.time || '')) {
+      throw new Error('Daily schedules need a time of day');
+    }
+    if (schedule.frequency === 'interval' && !(schedule.everyMinutes >= CAPTURE_LIMITS.SCHEDULE_MIN_INTERVAL_MIN)) {
+      throw new Error(`Intervals must be at least ${CAPTURE_LIMITS.SCHEDULE_MIN_INTERVAL_MIN} minutes`);
+    }
+    if (!(schedule.retention >= 1)) throw new Error('Keep at least one capture');
+  }
+
+  // Adds a schedule, or replaces the one with the same id
+  async function save(schedule) {
+    const value = {
+      id: schedule.id || `schedule-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+      enabled: true,
+      setId: null,
+      createdAt: Date.now(),
+      lastRunAt: null,
+      lastResult: null,
+      ...schedule,
+      name: String(schedule.name || '').trim(),
+      url: String(schedule.url || '').trim(),
+    };
+    validate(value);
+
+    const schedules = await list();
+    const index = schedules.findIndex((item) => item.id === value.id);
+    if (index >= 0) {
+      schedules[index] = value;
+    } else {
+      schedules.push(value);
+    }
+    await writeAll(schedules);
+    return value;
+  }
+
+  async function update(id, patch) {
+    const schedules = await list();
+    const schedule = schedules.find((item) => item.id === id);
+    if (!schedule) return null;
+    Object.assign(schedule, patch);
+    await writeAll(schedules);
+    return schedule;
+  }
+
+  async function remove(id) {
+    return writeAll((await list()).filter((schedule) => schedule.id !== id));
+  }
+
+  function periodMinutes(schedule) {
+    return schedule.frequency === 'hourly' ? 60 : schedule.everyMinutes;
+  }
+
+  // When the next run is due: one period after the last run (or the schedule's
+  // creation), or the next time of day for daily schedules. May lie in the past
+  // when runs were missed while the browser was closed.
+  function nextRunTime(schedule) {
+    const base = schedule.lastRunAt || schedule.createdAt || Date.now();
+    if (schedule.frequency === 'daily') {
+      const [hours, minutes] = schedule.time.split(':').map(Number);
+      const date = new Date(base);
+      date.setHours(hours, minutes, 0, 0);
+      if (date.getTime() <= base) date.setDate(date.getDate() + 1);
+      return date.getTime();
+    }
+    return base + periodMinutes(schedule) * 60000;
+  }
+
+  function describe(schedule) {
+    if (schedule.frequency === 'hourly') return 'Every hour';
+    if (schedule.frequency === 'daily') return `Daily at ${schedule.time}`;
+    return `Every ${schedule.everyMinutes} min`;
+  }
+
+  function alarmName(id) {
+    return ALARM_PREFIX + id;
+  }
+
+  function idFromAlarm(name) {
+    return name.startsWith(ALARM_PREFIX) ? name.slice(ALARM_PREFIX.length) : null;
+  }
+
+  const Schedules = {
+    list,
+    get,
+    save,
+    update,
+    remove,
+    nextRunTime,
+    describe,
+    alarmName,
+    idFromAlarm,
+  };
+
+  global.Schedules = Schedules;
+})(typeof self !== 'undefined' ? self : window);
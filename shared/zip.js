@@ -0,0 +1,90 @@
+// Minimal ZIP writer for exporting capture sets. Entries are stored uncompressed:
+// PNG and JPEG data does not shrink further, and storing keeps this small.
+(function (global) {
+  let crcTable = null;
+
+  function crc32(bytes) {
+    if (!crcTable) {
+      crcTable = new Uint32Array(256);
+      for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+          c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+        }
+        crcTable[n] = c >>> 0;
+      }
+    }
+
+    let crc = 0xffffffff;
+    for (let i = 0; i < bytes.length; i++) {
+      crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+  }
+
+  // MS-DOS date and time, as stored in ZIP headers
+  function dosDateTime(date) {
+    return {
+      time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+      date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate(),
+    };
+  }
+
+  // files: [{ name, blob }]. Resolves with the archive as a Blob.
+  async function createZip(files, modified = new Date()) {
+    const encoder = new TextEncoder();
+    const stamp = dosDateTime(modified);
+    const parts = [];
+    const directory = [];
+    let offset = 0;
+
+    for (const file of files) {
+      const name = encoder.encode(file.name);
+      const data = new Uint8Array(await file.blob.arrayBuffer());
+      const crc = crc32(data);
+
+      const local = new DataView(new ArrayBuffer(30));
+      local.setUint32(0, 0x04034b50, true); // Local file header signature
+      local.setUint16(4, 20, true); // Version needed (2.0)
+      local.setUint16(6, 0x0800, true); // Flags: UTF-8 names
+      local.setUint16(8, 0, true); // Method: stored
+      local.setUint16(10, stamp.time, true);
+      local.setUint16(12, stamp.date, true);
+      local.setUint32(14, crc, true);
+      local.setUint32(18, data.length, true);
+      local.setUint32(22, data.length, true);
+      local.setUint16(26, name.length, true);
+      local.setUint16(28, 0, true);
+      parts.push(local, name, data);
+
+      const central = new DataView(new ArrayBuffer(46));
+      central.setUint32(0, 0x02014b50, true); // Central directory signature
+      central.setUint16(4, 20, true); // Version made by
+      central.setUint16(6, 20, true); // Version needed
+      central.setUint16(8, 0x0800, true);
+      central.setUint16(10, 0, true);
+      central.setUint16(12, stamp.time, true);
+      central.setUint16(14, stamp.date, true);
+      central.setUint32(16, crc, true);
+      central.setUint32(20, data.length, true);
+      central.setUint32(24, data.length, true);
+      central.setUint16(28, name.length, true);
+      central.setUint32(42, offset, true); // Offset of the local header
+      directory.push(central, name);
+
+      offset += 30 + name.length + data.length;
+    }
+
+    const directorySize = directory.reduce((sum, part) => sum + part.byteLength, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054b50, true); // End of central directory signature
+    end.setUint16(8, files.length, true);
+    end.setUint16(10, files.length, true);
+    end.setUint32(12, directorySize, true);
+    end.setUint32(16, offset, true);
+
+    return new Blob([...parts, ...directory, end], { type: 'application/zip' });
+  }
+
+  global.ZipWriter = { createZip };
+})(typeof self !== 'undefined' ? self : window);
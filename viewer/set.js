@@ -0,0 +1,395 @@
+// FullSnap Capture Set - compares the captures of one run (for example a page at
+// several widths) side by side or as a contact sheet.
+
+(function () {
+  const contentEl = document.getElementById('set-content');
+  const titleEl = document.getElementById('set-title');
+  const titleInput = document.getElementById('set-title-input');
+  const failuresEl = document.getElementById('set-failures');
+  const loadingEl = document.getElementById('loading');
+  const layoutToggle = document.getElementById('layout-toggle');
+  const zoomSelect = document.getElementById('set-zoom');
+  const btnExportZip = document.getElementById('btn-export-zip');
+  const btnExportPdf = document.getElementById('btn-export-pdf');
+  const toastEl = document.getElementById('toast');
+
+  const setId = new URLSearchParams(location.search).get('set');
+
+  let set = null;
+  let metas = [];
+  let layout = 'side-by-side';
+  let exporting = false;
+  let toastTimeout = null;
+  // Segment images by `${captureId}:${index}`, shared by both layouts
+  const segmentCache = new Map();
+
+  init();
+
+  async function init() {
+    await applyTheme();
+
+    layoutToggle.addEventListener('click', (e) => {
+      const button = e.target.closest('[data-layout]');
+      if (!button || button.dataset.layout === layout) return;
+      layout = button.dataset.layout;
+      for (const item of layoutToggle.querySelectorAll('[data-layout]')) {
+        item.classList.toggle('active', item === button);
+      }
+      render();
+    });
+
+    zoomSelect.addEventListener('change', () => {
+      if (layout === 'side-by-side') render();
+    });
+
+    setupRename();
+    btnExportZip.addEventListener('click', () => runExport(exportZip));
+    btnExportPdf.addEventListener('click', () => runExport(exportPdf));
+
+    try {
+      const response = await chrome.runtime.sendMessage({ action: MSG.GET_CAPTURE_SET, setId });
+      if (response?.error || !response?.set) {
+        showError(response?.error || 'Capture set not found.');
+        return;
+      }
+
+      set = response.set;
+      metas = response.metas;
+      titleEl.textContent = set.name;
+      document.title = `FullSnap - ${set.name}`;
+      renderFailures();
+
+      if (metas.length === 0) {
+        showError('This set has no captures left.');
+        return;
+      }
+
+      loadingEl.classList.add('hidden');
+      await render();
+    } catch (err) {
+      console.error('[Set] Failed to load capture set:', err);
+      showError('Error loading capture set: ' + (err.message || err));
+    }
+  }
+
+  async function render() {
+    contentEl.className = `set-content ${layout}`;
+    contentEl.textContent = '';
+    zoomSelect.disabled = layout !== 'side-by-side';
+
+    if (layout === 'side-by-side') {
+      const zoom = parseFloat(zoomSelect.value) || 0.5;
+      const columns = metas.map((meta) => {
+        const column = buildSideBySideColumn(meta, zoom);
+        contentEl.appendChild(column.element);
+        return column;
+      });
+      // One capture at a time; a full set can be hundreds of megapixels
+      for (const column of columns) {
+        await column.load();
+      }
+    } else {
+      for (const meta of metas) {
+        contentEl.appendChild(buildContactCard(meta));
+      }
+    }
+  }
+
+  function buildSideBySideColumn(meta, zoom) {
+    const element = document.createElement('section');
+    element.className = 'set-column';
+
+    const cssWidth = Math.round(meta.width / (meta.devicePixelRatio || 1));
+    const label = buildLabel(meta, true);
+    const images = document.createElement('div');
+    images.className = 'set-column-images';
+    images.style.width = `${Math.round(cssWidth * zoom)}px`;
+
+    element.append(label, images);
+
+    return {
+      element,
+      async load() {
+        for (let index = 0; index < (meta.segmentCount || 1); index++) {
+          const img = document.createElement('img');
+          img.alt = `${captureLabel(meta)}, part ${index + 1}`;
+          img.style.width = '100%';
+          images.appendChild(img);
+          try {
+            img.src = await loadSegment(meta.captureId, index);
+          } catch (err) {
+            console.warn('[Set] Failed to load segment:', err);
+          }
+        }
+      },
+    };
+  }
+
+  function buildContactCard(meta) {
+    const card = document.createElement('button');
+    card.className = 'set-card';
+    card.title = 'Open in the viewer';
+
+    const img = document.createElement('img');
+    img.alt = captureLabel(meta);
+    loadSegment(meta.captureId, 0).then((src) => { img.src = src; }).catch(() => {});
+
+    card.append(img, buildLabel(meta, false));
+    card.addEventListener('click', () => openCapture(meta.captureId));
+    return card;
+  }
+
+  function buildLabel(meta, withLink) {
+    const label = document.createElement('div');
+    label.className = 'set-label';
+
+    const name = document.createElement('strong');
+    name.textContent = captureLabel(meta);
+    name.title = meta.url || '';
+
+    const size = document.createElement('span');
+    size.textContent = `${meta.width} × ${meta.totalHeight}`;
+
+    label.append(name, size);
+
+    if (withLink) {
+      const open = document.createElement('a');
+      open.href = '#';
+      open.textContent = 'Open';
+      open.addEventListener('click', (e) => {
+        e.preventDefault();
+        openCapture(meta.captureId);
+      });
+      label.appendChild(open);
+    }
+    return label;
+  }
+
+  function captureLabel(meta) {
+    if (meta.emulatedWidth) return `${meta.emulatedWidth}px`;
+    if (set.kind === 'schedule') return new Date(meta.createdAt).toLocaleString();
+    return meta.title || meta.url || 'Capture';
+  }
+
+  async function loadSegment(captureId, index) {
+    const key = `${captureId}:${index}`;
+    if (!segmentCache.has(key)) {
+      segmentCache.set(key, chrome.runtime.sendMessage({
+        action: MSG.GET_CAPTURE_SEGMENT,
+        captureId,
+        index,
+      }).then((response) => {
+        if (response?.error || !response?.dataUrl) {
+          throw new Error(response?.error || `Segment ${index + 1} not found`);
+        }
+        return response.dataUrl;
+      }));
+    }
+    return segmentCache.get(key);
+  }
+
+  function openCapture(captureId) {
+    chrome.tabs.create({
+      url: chrome.runtime.getURL(`viewer/viewer.html?capture=${encodeURIComponent(captureId)}`),
+    });
+  }
+
+  // --- Rename ---
+
+  function setupRename() {
+    titleEl.addEventListener('click', () => {
+      if (!set) return;
+      titleInput.value = set.name;
+      titleEl.classList.add('hidden');
+      titleInput.classList.remove('hidden');
+      titleInput.focus();
+      titleInput.select();
+    });
+
+    titleInput.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') titleInput.blur();
+      if (e.key === 'Escape') {
+        titleInput.value = set.name;
+        titleInput.blur();
+      }
+    });
+
+    titleInput.addEventListener('blur', async () => {
+      titleInput.classList.add('hidden');
+      titleEl.classList.remove('hidden');
+
+      const name = titleInput.value.trim();
+      if (!name || name === set.name) return;
+
+      const response = await chrome.runtime.sendMessage({ action: MSG.RENAME_CAPTURE_SET, setId, name });
+      if (response?.error) {
+        showToast(response.error);
+        return;
+      }
+      set = response.set;
+      titleEl.textContent = set.name;
+      document.title = `FullSnap - ${set.name}`;
+    });
+  }
+
+  // --- Export ---
+
+  async function runExport(exporter) {
+    if (exporting || metas.length === 0) return;
+    exporting = true;
+    btnExportZip.disabled = true;
+    btnExportPdf.disabled = true;
+
+    try {
+      await exporter();
+    } catch (err) {
+      console.error('[Set] Export failed:', err);
+      showToast('Export failed: ' + (err.message || err));
+    } finally {
+      exporting = false;
+      btnExportZip.disabled = false;
+      btnExportPdf.disabled = false;
+    }
+  }
+
+  // One PNG per capture part, numbered in set order
+  async function exportZip() {
+    const files = [];
+    for (let i = 0; i < metas.length; i++) {
+      const meta = metas[i];
+      const base = `${String(i + 1).padStart(2, '0')}-${slugify(captureLabel(meta))}`;
+      const count = meta.segmentCount || 1;
+
+      for (let index = 0; index < count; index++) {
+        showToast(`Preparing ZIP… ${i + 1} of ${metas.length}`);
+        const blob = await (await fetch(await loadSegment(meta.captureId, index))).blob();
+        const suffix = count > 1 ? `-part${index + 1}` : '';
+        files.push({ name: `${base}${suffix}.png`, blob });
+      }
+    }
+
+    const zip = await ZipWriter.createZip(files);
+    downloadBlob(zip, `${slugify(set.name)}.zip`);
+    showToast('ZIP saved');
+  }
+
+  // Every capture part on its own page, sized to the image
+  async function exportPdf() {
+    const { jsPDF } = window.jspdf;
+    let pdf = null;
+
+    for (let i = 0; i < metas.length; i++) {
+      const meta = metas[i];
+      showToast(`Preparing PDF… ${i + 1} of ${metas.length}`);
+      // Printed at 96 CSS px per inch, whatever pixel ratio each capture was taken at
+      const pxToMm = 25.4 / (96 * (meta.devicePixelRatio || 1));
+
+      for (let index = 0; index < (meta.segmentCount || 1); index++) {
+        const canvas = await imageToCanvas(await loadSegment(meta.captureId, index));
+        const widthMm = canvas.width * pxToMm;
+        const heightMm = canvas.height * pxToMm;
+        const orientation = widthMm > heightMm ? 'l' : 'p';
+
+        if (!pdf) {
+          pdf = new jsPDF({ orientation, unit: 'mm', format: [widthMm, heightMm] });
+        } else {
+          pdf.addPage([widthMm, heightMm], orientation);
+        }
+        pdf.addImage(canvas.toDataURL('image/jpeg', 0.92), 'JPEG', 0, 0, widthMm, heightMm);
+      }
+    }
+
+    pdf.save(`${slugify(set.name)}.pdf`);
+    showToast('PDF saved');
+  }
+
+  function imageToCanvas(src) {
+    return new Promise((resolve, reject) => {
+      const img = new Image();
+      img.onload = () => {
+        const canvas = document.createElement('canvas');
+        canvas.width = img.naturalWidth;
+        canvas.height = img.naturalHeight;
+        const ctx = canvas.getContext('2d');
+        // JPEG pages have no alpha; transparent element corners become white
+        ctx.fillStyle = '#ffffff';
+        ctx.fillRect(0, 0, canvas.width, canvas.height);
+        ctx.drawImage(img, 0, 0);
+        resolve(canvas);
+      };
+      img.onerror = () => reject(new Error('Failed to decode capture image'));
+      img.src = src;
+    });
+  }
+
+  function slugify(text) {
+    const slug = String(text)
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/^-+|-+$/g, '')
+      .slice(0, 60);
+    return slug || 'fullsnap-set';
+  }
+
+  function downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    // Large ZIP and PDF downloads may still be reading the blob
+    setTimeout(() => URL.revokeObjectURL(url), 60000);
+  }
+
+  function renderFailures() {
+    const notes = (set.failures || []).map((f) => `${f.label}: ${f.error}`);
+    // Tab sets list the tabs they could not capture at all
+    for (const item of set.skipped || []) {
+      notes.push(`${item.label}: skipped (${item.reason})`);
+    }
+    if (notes.length === 0) return;
+
+    failuresEl.textContent = notes.join(' · ');
+    failuresEl.classList.remove('hidden');
+  }
+
+  // --- Theme ---
+
+  async function applyTheme() {
+    let theme = 'system';
+    try {
+      const stored = await chrome.storage.local.get(STORAGE_KEYS.SETTINGS);
+      theme = stored[STORAGE_KEYS.SETTINGS]?.theme || 'system';
+    } catch (err) {
+      console.warn('[Set] Failed to load settings:', err);
+    }
+
+    if (theme === 'system') {
+      const prefersDark = window.matchMedia('(prefers-color-scheme: dark)').matches;
+      document.documentElement.setAttribute('data-theme', prefersDark ? 'dark' : 'light');
+    } else {
+      document.documentElement.setAttribute('data-theme', theme);
+    }
+  }
+
+  // --- UI helpers ---
+
+  function showToast(message) {
+    toastEl.textContent = message;
+    toastEl.classList.remove('hidden');
+
+    clearTimeout(toastTimeout);
+    toastTimeout = setTimeout(() => {
+      toastEl.classList.add('hidden');
+    }, 2500);
+  }
+
+  function showError(message) {
+    const text = loadingEl.querySelector('.loading-text');
+    loadingEl.querySelector('.loading-spinner')?.remove();
+    if (text) text.textContent = message;
+    loadingEl.classList.remove('hidden');
+  }
+})();
@@ -123,8 +123,12 @@
     try {
       setLoadingText('Loading screenshot...');
 
+      // Captures open the viewer with their id in the URL; the pending id is the fallback
+      const requestedId = new URLSearchParams(location.search).get('capture');
       console.log('[Viewer] Requesting pending capture...');
-      const pending = await chrome.runtime.sendMessage({ action: MSG.GET_PENDING_CAPTURE });
+      const pending = requestedId
+        ? { captureId: requestedId }
+        : await chrome.runtime.sendMessage({ action: MSG.GET_PENDING_CAPTURE });
       console.log('[Viewer] Pending response:', JSON.stringify(pending));
 
       if (pending?.error || !pending?.captureId) {
@@ -690,8 +694,14 @@
     }
   }
 
+  // Image pixels map back to CSS pixels through the capture's pixel ratio (screen,
+  // zoom and output scale together), and CSS pixels print at 96 per inch
+  function imagePxToMm() {
+    return 25.4 / (96 * (captureMeta?.devicePixelRatio || 1));
+  }
+
   function buildPdfForSingleCanvas(jsPDF, canvas, pageSize) {
-    const pxToMm = 25.4 / 96;
+    const pxToMm = imagePxToMm();
     const imgWidthMm = canvas.width * pxToMm;
     const imgHeightMm = canvas.height * pxToMm;
 
@@ -715,7 +725,7 @@
       if (i === segmentCount - 1) {
         canvas = addMetadataOverlay(canvas);
       }
-      const pxToMm = 25.4 / 96;
+      const pxToMm = imagePxToMm();
       const widthMm = canvas.width * pxToMm;
       const heightMm = canvas.height * pxToMm;
       const orientation = widthMm > heightMm ? 'l' : 'p';
@@ -869,14 +879,11 @@
     const pageDims = pageSize === 'a4' ? [210, 297] : [215.9, 279.4];
     const margin   = 10;
 
-    // canvas.width/height are in *physical* pixels (devicePixelRatio already applied
-    // by the browser when capturing to canvas). Divide by DPR to recover logical CSS
-    // pixels, then convert at the standard 96 CSS-px-per-inch.
-    // On a standard 1× display DPR=1 so this is identical to the old behaviour.
-    // On a Retina 2× display DPR=2, a 1920-wide viewport produces a 3840px-wide canvas;
-    // without the DPR correction pxToMm would halve the image size in the PDF.
-    const dpr    = Math.max(1, Math.round(window.devicePixelRatio || 1));
-    const pxToMm = 25.4 / (96 * dpr);
+    // canvas.width/height are image pixels; the capture's recorded pixel ratio turns
+    // them back into CSS pixels, printed at the standard 96 CSS-px-per-inch.
+    // A 1920-wide viewport captured at 2× produces a 3840px-wide canvas; without the
+    // correction the image would come out twice as large in the PDF.
+    const pxToMm = imagePxToMm();
 
     const imgWidthMm  = canvas.width  * pxToMm;
     const imgHeightMm = canvas.height * pxToMm;